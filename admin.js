@@ -0,0 +1,328 @@
+import { prisma } from './db.js';
+import { slack } from './slackClient.js';
+import {
+  getChannelSettings,
+  updateChannelSettings,
+  parseDuration,
+  formatDuration,
+  DEFAULT_THRESHOLD_SECONDS,
+  MIN_THRESHOLD_SECONDS,
+  MAX_THRESHOLD_SECONDS
+} from './settings.js';
+import { normalizeTimeZone, parseWeekday, WEEKDAYS } from './periods.js';
+import { getHackatimeUserId } from './identity.js';
+
+// Who gets to moderate Sailor's Log: workspace admins and owners, plus anyone in the
+// comma-separated `ADMIN_SLACK_USER_IDS`. A channel's creator can also moderate that channel.
+// Everything they do is written to the audit log.
+
+const ADMIN_SLACK_USER_IDS = (process.env.ADMIN_SLACK_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const AUDIT_LOG_LIMIT = 10;
+const USER_ACTIONS = ['remove', 'ban', 'unban', 'reset'];
+
+const ADMIN_USAGE = 'Channel admin commands:\n' +
+  '• `/sailorslog admin subscribers` - List everyone subscribed in this channel\n' +
+  '• `/sailorslog admin remove @user` - Turn off someone\'s notifications here and take them off this channel\'s leaderboard\n' +
+  '• `/sailorslog admin ban @user` - Remove someone and stop them from turning notifications back on here (`unban` to undo)\n' +
+  '• `/sailorslog admin reset @user` - Start someone\'s notification counters in this channel over from now\n' +
+  '• `/sailorslog admin settings [name value]` - See this channel\'s settings, or change one\n' +
+  '• `/sailorslog admin log` - See the latest admin actions in this channel';
+
+export async function isAdmin(slackUserId) {
+  if (ADMIN_SLACK_USER_IDS.includes(slackUserId)) {
+    return true;
+  }
+
+  try {
+    const result = await slack.users.info({ user: slackUserId });
+    return Boolean(result.user?.is_admin || result.user?.is_owner);
+  } catch (error) {
+    console.error(`Error checking whether ${slackUserId} is an admin:`, error);
+    return false;
+  }
+}
+
+export async function isChannelAdmin(slackUserId, channelId) {
+  if (await isAdmin(slackUserId)) {
+    return true;
+  }
+
+  try {
+    const result = await slack.conversations.info({ channel: channelId });
+    return result.channel?.creator === slackUserId;
+  } catch (error) {
+    console.error(`Error looking up the creator of channel ${channelId}:`, error);
+    return false;
+  }
+}
+
+export async function isBanned(slackUserId, channelId) {
+  const ban = await prisma.channelBan.findUnique({
+    where: {
+      slack_channel_id_slack_user_id: {
+        slack_channel_id: channelId,
+        slack_user_id: slackUserId
+      }
+    }
+  });
+  return Boolean(ban);
+}
+
+export async function logAdminAction(actorId, action, { channelId = null, target = null, details = null } = {}) {
+  await prisma.auditLog.create({
+    data: {
+      actor_slack_user_id: actorId,
+      action,
+      slack_channel_id: channelId,
+      target,
+      details: details && JSON.stringify(details)
+    }
+  });
+  console.log(`Admin ${actorId} ran ${action}${target ? ` on ${target}` : ''}${channelId ? ` in channel ${channelId}` : ''}`);
+}
+
+// Settings admins can change with `/sailorslog admin settings <name> <value>`. Each parser
+// returns the fields to update, or an error.
+const SETTINGS = {
+  threshold: {
+    describe: settings => settings?.threshold_seconds ? formatDuration(settings.threshold_seconds) : `${formatDuration(DEFAULT_THRESHOLD_SECONDS)} (default)`,
+    parse(value) {
+      if (value === 'reset') {
+        return { data: { threshold_seconds: null } };
+      }
+      const seconds = parseDuration(value);
+      if (!seconds || seconds < MIN_THRESHOLD_SECONDS || seconds > MAX_THRESHOLD_SECONDS) {
+        return { error: `Use something like \`30m\` or \`1h\`, between ${formatDuration(MIN_THRESHOLD_SECONDS)} and ${formatDuration(MAX_THRESHOLD_SECONDS)}, or \`reset\`.` };
+      }
+      return { data: { threshold_seconds: seconds } };
+    }
+  },
+  timezone: {
+    describe: settings => settings?.use_user_timezones ? 'each member\'s own' : settings?.timezone || 'UTC',
+    parse(value, rawValue) {
+      if (value === 'user') {
+        return { data: { use_user_timezones: true } };
+      }
+      const timeZone = normalizeTimeZone(rawValue);
+      return timeZone
+        ? { data: { timezone: timeZone, use_user_timezones: false } }
+        : { error: 'Use a time zone name like `America/New_York`, or `user` for each member\'s own.' };
+    }
+  },
+  weekstart: {
+    describe: settings => WEEKDAYS[settings?.week_start ?? 1],
+    parse(value) {
+      const weekStart = parseWeekday(value);
+      return weekStart === -1 ? { error: 'Use a day of the week.' } : { data: { week_start: weekStart } };
+    }
+  },
+  daily: {
+    describe: settings => settings?.leaderboard_daily ? 'on' : 'off',
+    parse: value => parseSwitch(value, 'leaderboard_daily')
+  },
+  weekly: {
+    describe: settings => settings?.leaderboard_weekly ? 'on' : 'off',
+    parse: value => parseSwitch(value, 'leaderboard_weekly')
+  },
+  weekday: {
+    describe: settings => WEEKDAYS[settings?.leaderboard_weekday ?? 0],
+    parse(value) {
+      const weekday = parseWeekday(value);
+      return weekday === -1 ? { error: 'Use a day of the week.' } : { data: { leaderboard_weekday: weekday } };
+    }
+  },
+  hour: {
+    describe: settings => `${settings?.leaderboard_hour ?? 17}:00`,
+    parse(value) {
+      const hour = parseInt(value, 10);
+      return /^\d+$/.test(value) && hour >= 0 && hour <= 23
+        ? { data: { leaderboard_hour: hour } }
+        : { error: 'Use an hour from 0 to 23.' };
+    }
+  },
+  public: {
+    describe: settings => settings?.public_leaderboard ? 'on' : 'off',
+    parse: value => parseSwitch(value, 'public_leaderboard')
+  }
+};
+
+function parseSwitch(value, field) {
+  if (value !== 'on' && value !== 'off') {
+    return { error: 'Use `on` or `off`.' };
+  }
+  return { data: { [field]: value === 'on' } };
+}
+
+// Mentions come escaped, like <@U123|name>
+function parseMention(arg) {
+  const mention = arg?.match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/i);
+  return mention ? mention[1].toUpperCase() : null;
+}
+
+// Turn off someone's notifications here, which also takes them off the leaderboard
+async function removeSubscriber(slackUserId, channelId) {
+  const { count } = await prisma.slackNotificationPreference.updateMany({
+    where: {
+      slack_user_id: slackUserId,
+      slack_channel_id: channelId,
+      enabled: true
+    },
+    data: { enabled: false }
+  });
+  return count > 0;
+}
+
+async function listSubscribers(channelId) {
+  const [preferences, bans] = await Promise.all([
+    prisma.slackNotificationPreference.findMany({
+      where: {
+        slack_channel_id: channelId,
+        enabled: true
+      },
+      orderBy: { created_at: 'asc' }
+    }),
+    prisma.channelBan.findMany({
+      where: { slack_channel_id: channelId },
+      orderBy: { created_at: 'asc' }
+    })
+  ]);
+
+  if (preferences.length === 0 && bans.length === 0) {
+    return 'Nobody is subscribed in this channel yet.';
+  }
+
+  const lines = preferences.map(pref => {
+    const threshold = pref.threshold_seconds ? ` (every ${formatDuration(pref.threshold_seconds)})` : '';
+    return `• <@${pref.slack_user_id}>${threshold}, since ${pref.created_at.toISOString().slice(0, 10)}`;
+  });
+  let text = `👥 *${preferences.length} subscribed in this channel*\n${lines.join('\n')}`;
+  if (bans.length > 0) {
+    text += `\n🚫 *Banned:* ${bans.map(ban => `<@${ban.slack_user_id}>`).join(', ')}`;
+  }
+  return text;
+}
+
+async function handleSettings(userId, channelId, args, rawArgs) {
+  const name = args[2];
+  if (!name) {
+    const settings = await getChannelSettings(channelId);
+    const lines = Object.entries(SETTINGS).map(([key, setting]) => `• \`${key}\`: ${setting.describe(settings)}`);
+    return `⚙️ *Settings for this channel*\n${lines.join('\n')}\nChange one with \`/sailorslog admin settings <name> <value>\`.`;
+  }
+
+  const setting = SETTINGS[name];
+  if (!setting) {
+    return `Sorry, \`${name}\` isn't a setting. Use one of ${Object.keys(SETTINGS).map(key => `\`${key}\``).join(', ')}.`;
+  }
+  if (!args[3]) {
+    return `Usage: \`/sailorslog admin settings ${name} <value>\``;
+  }
+
+  const { data, error } = setting.parse(args[3], rawArgs[3]);
+  if (error) {
+    return `Sorry, \`${rawArgs[3]}\` isn't a valid ${name}. ${error}`;
+  }
+
+  const before = setting.describe(await getChannelSettings(channelId));
+  const settings = await updateChannelSettings(channelId, data);
+  await logAdminAction(userId, 'settings', { channelId, target: name, details: data });
+  return `✅ Changed \`${name}\` from ${before} to ${setting.describe(settings)}.`;
+}
+
+async function showAuditLog(channelId) {
+  const entries = await prisma.auditLog.findMany({
+    where: { slack_channel_id: channelId },
+    orderBy: { created_at: 'desc' },
+    take: AUDIT_LOG_LIMIT
+  });
+  if (entries.length === 0) {
+    return 'No admin actions in this channel yet.';
+  }
+
+  const lines = entries.map(entry => {
+    const target = USER_ACTIONS.includes(entry.action) ? ` <@${entry.target}>` : entry.target ? ` \`${entry.target}\`` : '';
+    return `• ${entry.created_at.toISOString().slice(0, 16).replace('T', ' ')} UTC: <@${entry.actor_slack_user_id}> ran *${entry.action}*${target}`;
+  });
+  return `📜 *Latest admin actions in this channel*\n${lines.join('\n')}`;
+}
+
+// `/sailorslog admin ...`, returns the reply text
+export async function handleAdminCommand(userId, channelId, args, rawArgs) {
+  if (!await isChannelAdmin(userId, channelId)) {
+    return 'Sorry, only this channel\'s creator and workspace admins can use admin commands.';
+  }
+
+  const subcommand = args[1];
+
+  if (subcommand === 'subscribers') {
+    return listSubscribers(channelId);
+  }
+
+  if (subcommand === 'settings') {
+    return handleSettings(userId, channelId, args, rawArgs);
+  }
+
+  if (subcommand === 'log') {
+    return showAuditLog(channelId);
+  }
+
+  if (USER_ACTIONS.includes(subcommand)) {
+    const target = parseMention(rawArgs[2]);
+    if (!target) {
+      return `Usage: \`/sailorslog admin ${subcommand} @user\``;
+    }
+
+    let reply;
+    if (subcommand === 'remove') {
+      if (!await removeSubscriber(target, channelId)) {
+        return `<@${target}> isn't subscribed in this channel.`;
+      }
+      reply = `✅ Turned off notifications for <@${target}> in this channel. They're off the leaderboard until they run \`/sailorslog on\` again.`;
+    } else if (subcommand === 'ban') {
+      await prisma.channelBan.upsert({
+        where: {
+          slack_channel_id_slack_user_id: {
+            slack_channel_id: channelId,
+            slack_user_id: target
+          }
+        },
+        create: {
+          slack_channel_id: channelId,
+          slack_user_id: target,
+          banned_by: userId
+        },
+        update: {}
+      });
+      await removeSubscriber(target, channelId);
+      reply = `🚫 Banned <@${target}> from Sailor's Log in this channel. They're off the leaderboard and can't turn notifications back on here.`;
+    } else if (subcommand === 'unban') {
+      const { count } = await prisma.channelBan.deleteMany({
+        where: {
+          slack_channel_id: channelId,
+          slack_user_id: target
+        }
+      });
+      if (count === 0) {
+        return `<@${target}> isn't banned in this channel.`;
+      }
+      reply = `✅ Unbanned <@${target}>. They can run \`/sailorslog on\` here again.`;
+    } else {
+      // Notification counters start over from the user's current totals
+      const hackatimeUserId = await getHackatimeUserId(target);
+      const { count } = hackatimeUserId
+        ? await prisma.projectNotification.deleteMany({
+          where: {
+            user_id: hackatimeUserId,
+            slack_channel_id: channelId
+          }
+        })
+        : { count: 0 };
+      reply = `✅ Reset <@${target}>'s notification counters in this channel (${count} ${count === 1 ? 'project' : 'projects'}). Their next notification comes after another full threshold of coding.`;
+    }
+
+    await logAdminAction(userId, subcommand, { channelId, target });
+    return reply;
+  }
+
+  return ADMIN_USAGE;
+}
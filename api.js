@@ -0,0 +1,193 @@
+import { prisma } from './db.js';
+import { computeLeaderboard } from './leaderboard.js';
+import { getUserInfo } from './slackClient.js';
+import { parsePeriod } from './periods.js';
+import { getProjectLinks } from './links.js';
+import { getProjectSettings, hidePrivateProjects } from './projects.js';
+import { getLatestSummary } from './summaries.js';
+import { getHackatimeUserId } from './identity.js';
+import { getUserStats, getProjectBranches } from './stats.js';
+
+// Read-only JSON API for club websites and dashboards. Requests need one of the comma-separated
+// `API_TOKENS` as a bearer token. Private projects always show as the secret project.
+
+const API_TOKENS = (process.env.API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+const MAX_LIMIT = 500;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function isAuthorized(req) {
+  const [scheme, token] = (req.headers.get('authorization') || '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' && API_TOKENS.includes(token);
+}
+
+// Same rules as `/sailorslog leaderboard`: any period it takes, and a positive number or `all`
+function parseQuery(searchParams) {
+  const parsed = parsePeriod((searchParams.get('period') || 'day').toLowerCase());
+  if (parsed.error) {
+    return { error: parsed.error.replace(/`/g, '') };
+  }
+
+  const limitParam = searchParams.get('limit') || '10';
+  let limit;
+  if (limitParam === 'all') {
+    limit = 'all';
+  } else if (/^\d+$/.test(limitParam) && parseInt(limitParam, 10) > 0) {
+    limit = Math.min(parseInt(limitParam, 10), MAX_LIMIT);
+  } else {
+    return { error: `${limitParam} isn't a valid limit. Use a positive number or all.` };
+  }
+
+  const language = searchParams.get('language');
+  const project = searchParams.get('project');
+  const filter = language
+    ? { type: 'language', value: language.toLowerCase() }
+    : project ? { type: 'project', value: project.toLowerCase() } : null;
+
+  return { period: parsed.period, limit, filter };
+}
+
+function formatWindow(window) {
+  return {
+    period: window.period,
+    label: window.label,
+    start: window.start.toISOString(),
+    end: window.end.toISOString(),
+    time_zone: window.timeZone
+  };
+}
+
+function formatItems(items = []) {
+  return items.map(item => ({ name: item.key, seconds: item.total }));
+}
+
+function formatProjects(projects, links) {
+  return projects.map(project => ({
+    name: project.key,
+    seconds: project.total,
+    url: project.secret ? null : links?.get(project.key.toLowerCase()) || null,
+    languages: formatItems(project.languages)
+  }));
+}
+
+// GET /api/channels/:id/leaderboard?period=week&limit=50[&language=rust|&project=name]
+async function getChannelLeaderboard(channelId, searchParams) {
+  const query = parseQuery(searchParams);
+  if (query.error) {
+    return jsonResponse({ error: query.error }, 400);
+  }
+
+  const result = await computeLeaderboard(channelId, query.period, query.limit, query.filter);
+  const userInfos = await Promise.all(result.entries.map(entry => getUserInfo(entry.user_id)));
+  const links = await getProjectLinks(result.entries.map(entry => entry.hackatime_user_id));
+
+  return jsonResponse({
+    channel_id: channelId,
+    ...formatWindow(result.window),
+    per_user_time_zones: result.perUserTimezones,
+    filter: result.filter && { type: result.filter.type, name: result.filter.name },
+    entries: result.entries.map((entry, i) => ({
+      rank: i + 1,
+      user_id: entry.user_id,
+      display_name: userInfos[i].displayName,
+      seconds: entry.total_seconds,
+      projects: Array.from(entry.projects.entries())
+        .sort((a, b) => b[1].seconds - a[1].seconds)
+        .map(([name, stats]) => ({
+          name,
+          seconds: stats.seconds,
+          url: stats.secret ? null : links.get(entry.hackatime_user_id)?.get(name.toLowerCase()) || null,
+          languages: stats.languages
+        }))
+    }))
+  });
+}
+
+// Only people who've opted in somewhere show up, the same as `/sailorslog stats @user`
+async function isOptedIn(slackUserId) {
+  const pref = await prisma.slackNotificationPreference.findFirst({
+    where: {
+      slack_user_id: slackUserId,
+      enabled: true
+    }
+  });
+  return Boolean(pref);
+}
+
+// GET /api/users/:id/stats?period=week
+async function getUserStatsResponse(slackUserId, searchParams) {
+  const query = parseQuery(searchParams);
+  if (query.error) {
+    return jsonResponse({ error: query.error }, 400);
+  }
+
+  const { userInfo, window, summary, links } = await getUserStats(slackUserId, query.period, { showPrivate: false });
+  return jsonResponse({
+    user_id: slackUserId,
+    display_name: userInfo.displayName,
+    ...formatWindow(window),
+    seconds: summary?.total || 0,
+    lines_added: summary?.lines_added || 0,
+    lines_removed: summary?.lines_removed || 0,
+    projects: formatProjects(summary?.projects || [], links),
+    languages: formatItems(summary?.languages),
+    editors: formatItems(summary?.editors),
+    operating_systems: formatItems(summary?.operating_systems),
+    branches: summary
+      ? getProjectBranches(summary).map(branch => ({ project: branch.project, name: branch.key, seconds: branch.total }))
+      : []
+  });
+}
+
+// GET /api/users/:id/projects, all time
+async function getUserProjects(slackUserId) {
+  const userId = await getHackatimeUserId(slackUserId);
+  const userInfo = await getUserInfo(slackUserId);
+  const summary = userId && await getLatestSummary(userId);
+  const visible = summary && hidePrivateProjects(summary, (await getProjectSettings([userId])).get(userId));
+  const links = visible && (await getProjectLinks([userId])).get(userId);
+
+  return jsonResponse({
+    user_id: slackUserId,
+    display_name: userInfo.displayName,
+    seconds: visible?.total || 0,
+    projects: formatProjects(visible?.projects || [], links)
+  });
+}
+
+// Returns a response for GET /api/... requests
+export async function handleApiRequest(req) {
+  try {
+    if (!isAuthorized(req)) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const { pathname, searchParams } = new URL(req.url);
+
+    const leaderboardMatch = pathname.match(/^\/api\/channels\/([A-Z0-9]+)\/leaderboard$/i);
+    if (leaderboardMatch) {
+      return await getChannelLeaderboard(leaderboardMatch[1].toUpperCase(), searchParams);
+    }
+
+    const userMatch = pathname.match(/^\/api\/users\/([A-Z0-9]+)\/(stats|projects)$/i);
+    if (userMatch) {
+      const slackUserId = userMatch[1].toUpperCase();
+      if (!await isOptedIn(slackUserId)) {
+        return jsonResponse({ error: 'User not found' }, 404);
+      }
+      return userMatch[2].toLowerCase() === 'stats'
+        ? await getUserStatsResponse(slackUserId, searchParams)
+        : await getUserProjects(slackUserId);
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404);
+  } catch (error) {
+    console.error('Error handling API request:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500);
+  }
+}
@@ -0,0 +1,247 @@
+import { getChannelSettings, updateChannelSettings } from './settings.js';
+import { parsePeriod } from './periods.js';
+import { isChannelAdmin, logAdminAction } from './admin.js';
+
+// How Sailor's Log sounds in each channel: its own kudos, notification text, event name and
+// leaderboard defaults, so one bot can serve several programs. Set with `/sailorslog config`.
+
+const DEFAULT_EVENT_NAME = process.env.DEFAULT_EVENT_NAME || 'High Seas';
+const DEFAULT_LEADERBOARD_PERIOD = 'day';
+const DEFAULT_LEADERBOARD_LIMIT = 10;
+
+const DEFAULT_KUDOS = [
+  "Great work!",
+  "Nice job!",
+  "Amazing!",
+  "Fantastic!",
+  "Excellent!",
+  "Awesome!",
+  "Well done!",
+];
+
+const TEMPLATES = {
+  template: {
+    field: 'notification_template',
+    default: '⛵️ {user} just coded {hours} on *{project}* (total: {total}). {kudos}',
+    placeholders: ['user', 'project', 'hours', 'total', 'kudos', 'event']
+  },
+  'streak-template': {
+    field: 'streak_template',
+    default: '🔥 *{days}-day streak!* {user} has coded every day for {days} days. {kudos}',
+    placeholders: ['user', 'days', 'kudos', 'event']
+  }
+};
+
+const MAX_KUDOS = 50;
+const MAX_TEXT_LENGTH = 500;
+
+const CONFIG_USAGE = 'Channel config commands (changes are for channel admins):\n' +
+  '• `/sailorslog config` - See this channel\'s config\n' +
+  '• `/sailorslog config event <name|reset>` - Name the program notifications are for\n' +
+  '• `/sailorslog config kudos [add <text>|remove <number>|reset]` - List or change the kudos picked at random for notifications\n' +
+  '• `/sailorslog config template <text|reset>` - Coding notification text. Placeholders: `{user}`, `{project}`, `{hours}` (like "1 more hour"), `{total}` (the project\'s total, like "12h"), `{kudos}`, `{event}`\n' +
+  '• `/sailorslog config streak-template <text|reset>` - Streak notification text. Placeholders: `{user}`, `{days}`, `{kudos}`, `{event}`\n' +
+  '• `/sailorslog config leaderboard <period> [N|all]` - What `/sailorslog leaderboard` shows by default (`reset` for today\'s top 10)';
+
+export function getEventName(settings) {
+  return settings?.event_name || DEFAULT_EVENT_NAME;
+}
+
+function getKudosList(settings) {
+  return settings?.kudos ? JSON.parse(settings.kudos) : DEFAULT_KUDOS;
+}
+
+function getRandomKudos(settings) {
+  const kudos = getKudosList(settings);
+  return kudos.length > 0 ? kudos[Math.floor(Math.random() * kudos.length)] : '';
+}
+
+// Fill in {placeholders}, leaving unknown ones as they are
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match).trim();
+}
+
+// `values` has everything the template's placeholders need except kudos and the event name
+export function renderNotification(settings, values) {
+  return renderTemplate(settings?.notification_template || TEMPLATES.template.default, {
+    kudos: getRandomKudos(settings),
+    event: getEventName(settings),
+    ...values
+  });
+}
+
+export function renderStreakNotification(settings, values) {
+  return renderTemplate(settings?.streak_template || TEMPLATES['streak-template'].default, {
+    kudos: getRandomKudos(settings),
+    event: getEventName(settings),
+    ...values
+  });
+}
+
+export function getLeaderboardDefaults(settings) {
+  return {
+    period: settings?.leaderboard_period || DEFAULT_LEADERBOARD_PERIOD,
+    limit: settings ? settings.leaderboard_limit ?? 'all' : DEFAULT_LEADERBOARD_LIMIT
+  };
+}
+
+// Everything after the first `count` words, with the original spacing and case
+function textAfter(text, count) {
+  return text.trim().replace(new RegExp(`^(\\S+\\s+){${count}}`), '').trim();
+}
+
+function describeConfig(settings) {
+  const { period, limit } = getLeaderboardDefaults(settings);
+  const kudos = getKudosList(settings);
+  return '⚙️ *Config for this channel*\n' +
+    `• Event: ${getEventName(settings)}\n` +
+    `• Kudos: ${settings?.kudos ? `${kudos.length} custom` : 'the built-in ones'} (\`/sailorslog config kudos\` to list them)\n` +
+    `• Notification template: ${settings?.notification_template ? `\`${settings.notification_template}\`` : 'default'}\n` +
+    `• Streak template: ${settings?.streak_template ? `\`${settings.streak_template}\`` : 'default'}\n` +
+    `• Leaderboard: \`${period}\`, ${limit === 'all' ? 'everyone' : `top ${limit}`}`;
+}
+
+async function setConfig(userId, channelId, name, data) {
+  const settings = await updateChannelSettings(channelId, data);
+  await logAdminAction(userId, 'config', { channelId, target: name, details: data });
+  return settings;
+}
+
+async function handleKudos(userId, channelId, settings, args, text) {
+  const kudos = getKudosList(settings);
+
+  if (!args[2]) {
+    const lines = kudos.map((message, i) => `${i + 1}. ${message}`);
+    return `🎉 *Kudos in this channel*${settings?.kudos ? '' : ' (built-in)'}\n${lines.join('\n') || 'None, notifications go without.'}`;
+  }
+
+  if (args[2] === 'reset') {
+    await setConfig(userId, channelId, 'kudos', { kudos: null });
+    return '✅ This channel uses the built-in kudos again.';
+  }
+
+  if (args[2] === 'add') {
+    const message = textAfter(text, 3);
+    if (!args[3]) {
+      return 'Usage: `/sailorslog config kudos add <text>`';
+    }
+    if (message.length > MAX_TEXT_LENGTH) {
+      return `Sorry, kudos can be at most ${MAX_TEXT_LENGTH} characters.`;
+    }
+    if (kudos.length >= MAX_KUDOS) {
+      return `Sorry, a channel can have at most ${MAX_KUDOS} kudos. Remove one first.`;
+    }
+    await setConfig(userId, channelId, 'kudos', { kudos: JSON.stringify([...kudos, message]) });
+    return `✅ Added "${message}" to this channel's kudos.`;
+  }
+
+  if (args[2] === 'remove') {
+    const index = parseInt(args[3], 10) - 1;
+    if (!/^\d+$/.test(args[3] || '') || !kudos[index]) {
+      return `Usage: \`/sailorslog config kudos remove <number>\`, with a number from 1 to ${kudos.length}.`;
+    }
+    await setConfig(userId, channelId, 'kudos', { kudos: JSON.stringify(kudos.filter((_, i) => i !== index)) });
+    return `✅ Removed "${kudos[index]}" from this channel's kudos.`;
+  }
+
+  return 'Usage: `/sailorslog config kudos [add <text>|remove <number>|reset]`';
+}
+
+async function handleTemplate(userId, channelId, settings, args, text) {
+  const name = args[1];
+  const { field, default: defaultTemplate, placeholders } = TEMPLATES[name];
+
+  if (!args[2]) {
+    return `This channel's ${name === 'template' ? 'notification' : 'streak'} template is \`${settings?.[field] || defaultTemplate}\`.`;
+  }
+
+  if (args[2] === 'reset' && args.length === 3) {
+    await setConfig(userId, channelId, name, { [field]: null });
+    return `✅ This channel uses the default ${name === 'template' ? 'notification' : 'streak'} template again.`;
+  }
+
+  const template = textAfter(text, 2);
+  if (template.length > MAX_TEXT_LENGTH) {
+    return `Sorry, templates can be at most ${MAX_TEXT_LENGTH} characters.`;
+  }
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(placeholder => !placeholders.includes(placeholder));
+  if (unknown.length > 0) {
+    return `Sorry, \`{${unknown[0]}}\` isn't a placeholder I know. Use ${placeholders.map(placeholder => `\`{${placeholder}}\``).join(', ')}.`;
+  }
+
+  await setConfig(userId, channelId, name, { [field]: template });
+  return `✅ Updated this channel's template. A notification will look like:\n>${name === 'template'
+    ? renderNotification({ ...settings, [field]: template }, { user: `<@${userId}>`, project: 'my-project', hours: '1 more hour', total: '12h' })
+    : renderStreakNotification({ ...settings, [field]: template }, { user: `<@${userId}>`, days: 7 })}`;
+}
+
+async function handleLeaderboardDefaults(userId, channelId, settings, args) {
+  if (!args[2]) {
+    const { period, limit } = getLeaderboardDefaults(settings);
+    return `\`/sailorslog leaderboard\` in this channel shows \`${period}\`, ${limit === 'all' ? 'everyone' : `top ${limit}`}, unless told otherwise.`;
+  }
+
+  if (args[2] === 'reset') {
+    await setConfig(userId, channelId, 'leaderboard', { leaderboard_period: DEFAULT_LEADERBOARD_PERIOD, leaderboard_limit: DEFAULT_LEADERBOARD_LIMIT });
+    return '✅ `/sailorslog leaderboard` shows today\'s top 10 again.';
+  }
+
+  const parsed = parsePeriod(args[2]);
+  if (parsed.error) {
+    return `${parsed.error}\nUsage: \`/sailorslog config leaderboard <period> [N|all]\``;
+  }
+
+  let limit = DEFAULT_LEADERBOARD_LIMIT;
+  if (args[3] === 'all') {
+    limit = null;
+  } else if (/^\d+$/.test(args[3] || '') && parseInt(args[3], 10) > 0) {
+    limit = parseInt(args[3], 10);
+  } else if (args[3]) {
+    return `\`${args[3]}\` isn't a valid number of people to show. Use a positive number or \`all\`.`;
+  }
+
+  await setConfig(userId, channelId, 'leaderboard', { leaderboard_period: parsed.period, leaderboard_limit: limit });
+  return `✅ \`/sailorslog leaderboard\` now shows \`${parsed.period}\`, ${limit === null ? 'everyone' : `top ${limit}`}, unless told otherwise.`;
+}
+
+// `/sailorslog config ...`, returns the reply text. `text` is the command's original text.
+export async function handleConfigCommand(userId, channelId, args, text) {
+  const settings = await getChannelSettings(channelId);
+  const subcommand = args[1];
+
+  if (!subcommand) {
+    return describeConfig(settings);
+  }
+
+  if (!['event', 'kudos', 'template', 'streak-template', 'leaderboard'].includes(subcommand)) {
+    return CONFIG_USAGE;
+  }
+
+  // Anyone can look, only channel admins can change things
+  if (args[2] && !await isChannelAdmin(userId, channelId)) {
+    return 'Sorry, only this channel\'s creator and workspace admins can change its config.';
+  }
+
+  if (subcommand === 'kudos') {
+    return handleKudos(userId, channelId, settings, args, text);
+  }
+
+  if (subcommand === 'template' || subcommand === 'streak-template') {
+    return handleTemplate(userId, channelId, settings, args, text);
+  }
+
+  if (subcommand === 'leaderboard') {
+    return handleLeaderboardDefaults(userId, channelId, settings, args);
+  }
+
+  if (!args[2]) {
+    return `Notifications in this channel are for ${getEventName(settings)}.`;
+  }
+
+  const eventName = args[2] === 'reset' && args.length === 3 ? null : textAfter(text, 2);
+  if (eventName && eventName.length > 100) {
+    return 'Sorry, event names can be at most 100 characters.';
+  }
+  await setConfig(userId, channelId, 'event', { event_name: eventName });
+  return `✅ Notifications in this channel are now for ${eventName || DEFAULT_EVENT_NAME}.`;
+}
@@ -24,6 +24,19 @@ export async function getUserApiKey(userId) {
   }
 }
 
+export async function getUserIdByApiKey(apiKey) {
+  const client = await hackatime.connect();
+  try {
+    const { rows } = await client.query(
+      'SELECT id FROM users WHERE api_key = $1',
+      [apiKey]
+    );
+    return rows[0] ? String(rows[0].id) : null;
+  } finally {
+    client.release();
+  }
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down databases...');
@@ -0,0 +1,177 @@
+// Gaps between heartbeats longer than this don't count as coding time (matches hackatime's default)
+export const HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.HEARTBEAT_TIMEOUT_SECONDS) || 120;
+
+function addTime(map, key, seconds) {
+  map.set(key, (map.get(key) || 0) + seconds);
+}
+
+function toSortedList(map) {
+  return Array.from(map.entries())
+    .map(([key, total]) => ({ key, total: Math.round(total) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+function createBucket() {
+  return {
+    total: 0,
+    projects: new Map(),
+    languages: new Map(),
+    editors: new Map(),
+    operatingSystems: new Map(),
+    projectLanguages: new Map(),
+    projectBranches: new Map(),
+    linesAdded: 0,
+    linesRemoved: 0
+  };
+}
+
+function addNested(map, outerKey, innerKey, seconds) {
+  if (!map.has(outerKey)) {
+    map.set(outerKey, new Map());
+  }
+  addTime(map.get(outerKey), innerKey, seconds);
+}
+
+function addToBucket(bucket, heartbeat, seconds) {
+  const project = heartbeat.project || 'unknown';
+  const language = heartbeat.language || 'unknown';
+
+  bucket.total += seconds;
+  addTime(bucket.projects, project, seconds);
+  addTime(bucket.languages, language, seconds);
+  addTime(bucket.editors, heartbeat.editor || 'unknown', seconds);
+  addTime(bucket.operatingSystems, heartbeat.operating_system || 'unknown', seconds);
+  addNested(bucket.projectLanguages, project, language, seconds);
+  addNested(bucket.projectBranches, project, heartbeat.branch || 'unknown', seconds);
+}
+
+// Lines changed aren't time, so every heartbeat counts, including the last one
+function addLinesToBucket(bucket, heartbeat) {
+  bucket.linesAdded += heartbeat.line_additions || 0;
+  bucket.linesRemoved += heartbeat.line_deletions || 0;
+}
+
+function finishBucket(bucket) {
+  return {
+    total: Math.round(bucket.total),
+    projects: toSortedList(bucket.projects).map(project => ({
+      ...project,
+      languages: toSortedList(bucket.projectLanguages.get(project.key)),
+      branches: toSortedList(bucket.projectBranches.get(project.key))
+    })),
+    languages: toSortedList(bucket.languages),
+    editors: toSortedList(bucket.editors),
+    operating_systems: toSortedList(bucket.operatingSystems),
+    lines_added: bucket.linesAdded,
+    lines_removed: bucket.linesRemoved
+  };
+}
+
+// Turn heartbeats into coding time, WakaTime-style: the time until the next heartbeat is credited
+// to the earlier heartbeat's project and language, unless the gap is longer than the timeout.
+// Time is split into buckets by `bucketFor(heartbeat)`, and each bucket has the same shape as the
+// summary API ({ projects: [{ key, total }], languages: [...], editors, operating_systems }) with
+// each project also carrying its own language and branch breakdowns, plus lines added and removed.
+export function computeDurationsBy(heartbeats, bucketFor, timeoutSeconds = HEARTBEAT_TIMEOUT_SECONDS) {
+  const sorted = [...heartbeats].sort((a, b) => new Date(a.time) - new Date(b.time));
+  const buckets = new Map();
+
+  for (let i = 0; i < sorted.length; i++) {
+    const current = sorted[i];
+    const key = bucketFor(current);
+    if (!buckets.has(key)) {
+      buckets.set(key, createBucket());
+    }
+    addLinesToBucket(buckets.get(key), current);
+
+    if (i === sorted.length - 1) {
+      continue;
+    }
+    const gapSeconds = (new Date(sorted[i + 1].time) - new Date(current.time)) / 1000;
+    if (gapSeconds <= 0 || gapSeconds > timeoutSeconds) {
+      continue;
+    }
+    addToBucket(buckets.get(key), current, gapSeconds);
+  }
+
+  return new Map(Array.from(buckets.entries()).map(([key, bucket]) => [key, finishBucket(bucket)]));
+}
+
+export function computeDurations(heartbeats, timeoutSeconds = HEARTBEAT_TIMEOUT_SECONDS) {
+  return computeDurationsBy(heartbeats, () => 'all', timeoutSeconds).get('all') || finishBucket(createBucket());
+}
+
+// Coding time per UTC day, keyed by YYYY-MM-DD. Time after a heartbeat counts toward its day.
+export function computeDailyDurations(heartbeats, timeoutSeconds = HEARTBEAT_TIMEOUT_SECONDS) {
+  return computeDurationsBy(heartbeats, heartbeat => new Date(heartbeat.time).toISOString().slice(0, 10), timeoutSeconds);
+}
+
+function mergeLists(base = [], delta = []) {
+  const merged = new Map(base.map(item => [item.key, { ...item }]));
+  for (const item of delta) {
+    const existing = merged.get(item.key);
+    if (!existing) {
+      merged.set(item.key, { ...item });
+      continue;
+    }
+    existing.total = (existing.total || 0) + item.total;
+    if (item.languages) {
+      existing.languages = mergeLists(existing.languages, item.languages);
+    }
+    if (item.branches) {
+      existing.branches = mergeLists(existing.branches, item.branches);
+    }
+  }
+  return Array.from(merged.values()).sort((a, b) => b.total - a.total);
+}
+
+// Add newly computed durations on top of a running summary
+export function mergeSummaries(base, delta) {
+  return {
+    total: (base?.total || 0) + delta.total,
+    projects: mergeLists(base?.projects, delta.projects),
+    languages: mergeLists(base?.languages, delta.languages),
+    editors: mergeLists(base?.editors, delta.editors),
+    operating_systems: mergeLists(base?.operating_systems, delta.operating_systems),
+    lines_added: (base?.lines_added || 0) + (delta.lines_added || 0),
+    lines_removed: (base?.lines_removed || 0) + (delta.lines_removed || 0)
+  };
+}
+
+function negateList(list = []) {
+  return list.map(item => ({
+    ...item,
+    total: -item.total,
+    ...(item.languages && { languages: negateList(item.languages) }),
+    ...(item.branches && { branches: negateList(item.branches) })
+  }));
+}
+
+function dropEmpty(list) {
+  return list.filter(item => item.total > 0).map(item => ({
+    ...item,
+    ...(item.languages && { languages: dropEmpty(item.languages) }),
+    ...(item.branches && { branches: dropEmpty(item.branches) })
+  }));
+}
+
+// Take durations back out of a running summary, dropping anything left with no time
+export function subtractSummaries(base, delta) {
+  const merged = mergeSummaries(base, {
+    total: -delta.total,
+    projects: negateList(delta.projects),
+    languages: negateList(delta.languages),
+    editors: negateList(delta.editors),
+    operating_systems: negateList(delta.operating_systems),
+    lines_added: -(delta.lines_added || 0),
+    lines_removed: -(delta.lines_removed || 0)
+  });
+  return {
+    ...merged,
+    total: Math.max(merged.total, 0),
+    projects: dropEmpty(merged.projects),
+    languages: dropEmpty(merged.languages),
+    editors: dropEmpty(merged.editors),
+    operating_systems: dropEmpty(merged.operating_systems)
+  };
+}
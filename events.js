@@ -0,0 +1,23 @@
+import { publishHome } from './home.js';
+
+// Events API callbacks. Slack wants a 200 within 3 seconds, so slow work isn't awaited.
+export async function handleEvent(body) {
+  // Slack checks the URL when it's saved in the app config
+  if (body.type === 'url_verification') {
+    return new Response(JSON.stringify({ challenge: body.challenge }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (body.type === 'event_callback') {
+    const { event } = body;
+    console.log('Received event:', { type: event.type, user: event.user });
+
+    if (event.type === 'app_home_opened' && event.tab === 'home') {
+      publishHome(event.user);
+    }
+  }
+
+  return new Response(null, { status: 200 });
+}
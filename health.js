@@ -0,0 +1,97 @@
+import { prisma, hackatime } from './db.js';
+import { renderMetrics, lastPollTimestamp, outboxMessages } from './metrics.js';
+
+// /healthz says whether the process is up (restart it if not), /readyz whether everything it
+// depends on is reachable and the poller is keeping up, and /metrics has the numbers for Prometheus.
+
+// The poller makes progress at least every poll interval (15 seconds), even while catching up
+const POLL_STALE_SECONDS = parseInt(process.env.POLL_STALE_SECONDS) || 300; // 5 minutes
+const CHECK_TIMEOUT_MS = 5000;
+const startedAt = Date.now() / 1000;
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+async function runCheck(check) {
+  let timeout;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Without a hackatime database there's no poller to check
+function checkPoll() {
+  if (!process.env.HACKATIME_DATABASE_URL) {
+    return { ok: true, polling: false };
+  }
+  const secondsSinceLastPoll = Date.now() / 1000 - (lastPollTimestamp.get() ?? startedAt);
+  return {
+    ok: secondsSinceLastPoll < POLL_STALE_SECONDS,
+    seconds_since_last_poll: Math.round(secondsSinceLastPoll)
+  };
+}
+
+function checksResponse(checks) {
+  const ok = Object.values(checks).every(check => check.ok);
+  return jsonResponse({ status: ok ? 'ok' : 'error', checks }, ok ? 200 : 503);
+}
+
+async function handleMetrics(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.get('authorization') !== `Bearer ${token}`) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  // Outbox sizes come straight from the DB so they're right after a restart too
+  try {
+    for (const status of ['pending', 'dead']) {
+      outboxMessages.set({ status }, await prisma.outboxMessage.count({ where: { status } }));
+    }
+  } catch (error) {
+    console.error('Error counting outbox messages for metrics:', error);
+  }
+
+  return new Response(renderMetrics(), {
+    status: 200,
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+  });
+}
+
+// Returns a response for GET /healthz, /readyz and /metrics
+export async function handleHealthRequest(req) {
+  const { pathname } = new URL(req.url);
+
+  // A stale poll is usually hackatime's database being down, which restarting won't fix
+  if (pathname === '/healthz') {
+    return jsonResponse({ status: 'ok' }, 200);
+  }
+
+  if (pathname === '/readyz') {
+    const [database, hackatimeDatabase] = await Promise.all([
+      runCheck(() => prisma.$queryRaw`SELECT 1`),
+      process.env.HACKATIME_DATABASE_URL
+        ? runCheck(() => hackatime.query('SELECT 1'))
+        : { ok: true, configured: false }
+    ]);
+    return checksResponse({ database, hackatime: hackatimeDatabase, poll: checkPoll() });
+  }
+
+  return handleMetrics(req);
+}
@@ -0,0 +1,421 @@
+import { prisma } from './db.js';
+import { sendSlackNotification, getUserInfo } from './slackClient.js';
+import { getChannelSettings, resolveThreshold } from './settings.js';
+import { updateLocalSummary, reconcileSummary } from './summaries.js';
+import { rollupCodingTime } from './rollups.js';
+import { updateStreak } from './streaks.js';
+import { getProjectLink, formatProjectName } from './links.js';
+import { getProjectSettings, SECRET_PROJECT_NAME } from './projects.js';
+import { notificationActions } from './interactions.js';
+import { getQuietMode, holdNotification } from './quietHours.js';
+import { getSlackUserId } from './identity.js';
+import { heartbeatsTotal } from './metrics.js';
+import { detectSuspiciousActivity } from './suspicious.js';
+import { isBanned } from './admin.js';
+import { renderNotification, renderStreakNotification } from './channelConfig.js';
+
+// Storing heartbeats and celebrating the coding time in them, wherever they came from
+// (polling hackatime or the heartbeat API)
+
+// Heartbeats that reached hackatime longer ago than this are backlog (e.g. after an outage)
+// and don't get notifications
+const STALE_HEARTBEAT_MINUTES = parseInt(process.env.STALE_HEARTBEAT_MINUTES) || 10;
+
+// Mentions ping the user, so they're left out during quiet hours
+async function mentionUser(slackUserId, mention) {
+  return mention ? `<@${slackUserId}>` : `@${(await getUserInfo(slackUserId)).displayName}`;
+}
+
+// `userId` is the Hackatime user the project belongs to, `slackUserId` who to celebrate
+async function notifyChannelAboutCoding(channelId, userId, slackUserId, project, totalSeconds, thresholdSeconds, { isPrivate = false, mention = true } = {}) {
+  const totalHours = Math.floor(totalSeconds / 3600);
+  const intervalMinutes = Math.floor(thresholdSeconds / 60);
+  
+  let timeText;
+  if (intervalMinutes >= 60) {
+    const hours = Math.round(intervalMinutes / 60 * 100) / 100;
+    timeText = hours === 1 ? "1 more hour" : `${hours} more hours`;
+  } else {
+    timeText = intervalMinutes === 1 ? "1 more minute" : `${intervalMinutes} more minutes`;
+  }
+  
+  const projectName = isPrivate
+    ? SECRET_PROJECT_NAME
+    : formatProjectName(project, await getProjectLink(userId, project));
+  const user = await mentionUser(slackUserId, mention);
+  const message = renderNotification(await getChannelSettings(channelId), {
+    user,
+    project: projectName,
+    hours: timeText,
+    total: `${totalHours}h`
+  });
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: message }
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `📁 ${projectName} · ⏱️ ${totalHours}h total` }]
+    },
+    notificationActions(slackUserId, project, isPrivate)
+  ];
+
+  await sendSlackNotification(channelId, message, blocks);
+}
+
+async function notifyChannelsAboutStreak(userId, slackUserId, streak, quietMode) {
+  const preferences = await prisma.slackNotificationPreference.findMany({
+    where: {
+      slack_user_id: slackUserId,
+      enabled: true
+    }
+  });
+
+  // Held streaks go in the summary posted when quiet time ends
+  if (quietMode === 'hold') {
+    for (const pref of preferences) {
+      await holdNotification(userId, pref.slack_channel_id, { streak_days: streak });
+    }
+    return;
+  }
+
+  const user = await mentionUser(slackUserId, !quietMode);
+
+  // Each channel words it its own way
+  for (const pref of preferences) {
+    const message = renderStreakNotification(await getChannelSettings(pref.slack_channel_id), { user, days: streak });
+    const blocks = [{
+      type: 'section',
+      text: { type: 'mrkdwn', text: message }
+    }];
+    await sendSlackNotification(pref.slack_channel_id, message, blocks);
+  }
+}
+
+// Not every source sends line counts, keep them empty rather than NaN
+function parseOptionalInt(value) {
+  return value === null || value === undefined ? null : parseInt(value, 10);
+}
+
+// `source` is where they came from, "hackatime" or "api"
+// Heartbeats with a time we can't read are skipped for good. Returns the heartbeats that were
+// stored and the ones that failed to store, which should be tried again later. Stored heartbeats
+// still need to go through processHeartbeats.
+export async function storeHeartbeats(heartbeats, source = 'hackatime') {
+  if (heartbeats.length === 0) return { stored: [], failed: [] };
+
+  const valid = [];
+  for (const hb of heartbeats) {
+    // Convert Unix timestamp to DateTime with validation
+    try {
+      // Ensure we have a valid number
+      const timestamp = typeof hb.time === 'string' ? parseFloat(hb.time) : hb.time;
+      if (!isFinite(timestamp)) {
+        throw new Error(`Invalid timestamp: ${hb.time}`);
+      }
+      // Convert timestamp to Date assuming hb.time is in milliseconds
+      const time = new Date(timestamp);
+
+      // Validate the resulting date
+      if (time.toString() === 'Invalid Date' || time.getFullYear() < 2000 || time.getFullYear() > 2100) {
+        throw new Error(`Invalid date result: ${time} from timestamp ${timestamp}`);
+      }
+      valid.push({ hb, time });
+    } catch (error) {
+      console.error(`Error converting timestamp for heartbeat ${hb.id}:`, error);
+      console.error('Heartbeat data:', hb);
+    }
+  }
+
+  const results = await Promise.allSettled(
+    valid.map(({ hb, time }) => {
+      const data = {
+        id: hb.id,
+        user_id: hb.user_id,
+        entity: hb.entity,
+        type: hb.type,
+        category: hb.category,
+        project: hb.project,
+        branch: hb.branch,
+        language: hb.language,
+        is_write: hb.is_write || false,
+        editor: hb.editor,
+        operating_system: hb.operating_system,
+        machine: hb.machine,
+        user_agent: hb.user_agent,
+        time,
+        hash: hb.hash,
+        origin: hb.origin,
+        origin_id: hb.origin_id,
+        created_at: hb.created_at,
+        project_root_count: parseOptionalInt(hb.project_root_count),
+        line_additions: parseOptionalInt(hb.line_additions),
+        line_deletions: parseOptionalInt(hb.line_deletions),
+        lines: parseOptionalInt(hb.lines),
+        line_number: parseOptionalInt(hb.line_number),
+        cursor_position: parseOptionalInt(hb.cursor_position),
+        dependencies: hb.dependencies
+      };
+
+      return prisma.syncedHeartbeat.upsert({
+        where: { id: hb.id },
+        create: data,
+        update: data
+      });
+    })
+  );
+
+  const stored = valid.filter((_, i) => results[i].status === 'fulfilled').map(({ hb }) => hb);
+  const failed = valid.filter((_, i) => results[i].status === 'rejected').map(({ hb }) => hb);
+  heartbeatsTotal.inc({ source, result: 'stored' }, stored.length);
+  heartbeatsTotal.inc({ source, result: 'failed' }, failed.length);
+  heartbeatsTotal.inc({ source, result: 'invalid' }, heartbeats.length - valid.length);
+
+  if (stored.length > 0) {
+    console.log(`Stored ${stored.length} new heartbeats`);
+  }
+
+  if (failed.length > 0) {
+    console.log(`Failed to store ${failed.length} heartbeats`);
+    results
+      .filter(r => r.status === 'rejected')
+      .forEach(r => console.error('Storage error:', r.reason));
+  }
+
+  return { stored, failed };
+}
+
+// Heartbeats from the poller and the API are processed one batch at a time, so two runs never
+// see the same threshold crossing and both celebrate it. Batches that come in while a run is
+// going are merged into the next one.
+let pendingHeartbeats = [];
+let processing = null;
+
+async function drainHeartbeats() {
+  while (pendingHeartbeats.length > 0) {
+    const batch = pendingHeartbeats;
+    pendingHeartbeats = [];
+    try {
+      await processNewHeartbeats(batch);
+    } catch (error) {
+      console.error('Error processing heartbeats:', error);
+    }
+  }
+  processing = null;
+}
+
+// Resolves once everything queued so far has been processed
+export function processHeartbeats(heartbeats) {
+  if (heartbeats.length > 0) {
+    pendingHeartbeats.push(...heartbeats);
+  }
+  if (!processing) {
+    processing = drainHeartbeats();
+  }
+  return processing;
+}
+
+async function processNewHeartbeats(heartbeats) {
+  console.log('Processing new heartbeats...');
+  // Group heartbeats by user
+  const userHeartbeats = heartbeats.reduce((acc, hb) => {
+    (acc[hb.user_id] = acc[hb.user_id] || []).push(hb);
+    return acc;
+  }, {});
+
+  console.log(`Processing heartbeats for ${Object.keys(userHeartbeats).length} users`);
+
+  const staleCutoff = new Date(Date.now() - STALE_HEARTBEAT_MINUTES * 60 * 1000);
+
+  // Flag suspicious time first so it never counts
+  await detectSuspiciousActivity(heartbeats);
+
+  // Update daily totals before the heartbeats age out
+  try {
+    const count = await rollupCodingTime(Object.keys(userHeartbeats));
+    console.log(`Updated ${count} daily coding time rollups`);
+  } catch (error) {
+    console.error('Failed to update daily coding time rollups:', error);
+  }
+
+  // Process each user's heartbeats
+  for (const [userId, beats] of Object.entries(userHeartbeats)) {
+    console.log(`Processing ${beats.length} heartbeats for user ${userId}`);
+
+    // Heartbeats are keyed by Hackatime user, everything in Slack by Slack user
+    let slackUserId;
+    try {
+      slackUserId = await getSlackUserId(userId);
+    } catch (error) {
+      console.error(`Failed to look up Slack user for ${userId}:`, error);
+      continue;
+    }
+
+    // Their time still counts, but there's nobody on Slack to notify
+    if (!slackUserId) {
+      console.log(`No Slack user for ${userId}, skipping notifications`);
+    }
+    
+    // Auto-subscribe user to default channels if not already subscribed
+    const defaultChannels = slackUserId ? [
+      process.env.LOG_EVERYTHING_SLACK_CHANNEL_ID
+    ].filter(Boolean) : [];
+
+    for (const channelId of defaultChannels) {
+      const existingPref = await prisma.slackNotificationPreference.findUnique({
+        where: {
+          slack_user_id_slack_channel_id: {
+            slack_user_id: slackUserId,
+            slack_channel_id: channelId
+          }
+        }
+      });
+
+      if (!existingPref && !await isBanned(slackUserId, channelId)) {
+        try {
+          await prisma.slackNotificationPreference.create({
+            data: {
+              slack_user_id: slackUserId,
+              slack_channel_id: channelId,
+              enabled: true
+            }
+          });
+          console.log(`Auto-subscribed user ${slackUserId} to notifications in channel ${channelId}`);
+        } catch (error) {
+          console.error(`Failed to auto-subscribe user ${slackUserId} to channel ${channelId}:`, error);
+        }
+      }
+    }
+
+    // Catching up on old heartbeats still counts their time, but celebrating it now would
+    // post a flood of out of date messages
+    const isBacklog = beats.every(hb => new Date(hb.created_at) < staleCutoff);
+    if (isBacklog) {
+      console.log(`Heartbeats for user ${userId} are backlog, skipping notifications`);
+    }
+
+    // During quiet hours notifications are held for later or posted without pinging them
+    let quietMode = null;
+    try {
+      quietMode = slackUserId ? await getQuietMode(slackUserId) : null;
+    } catch (error) {
+      console.error(`Failed to check quiet hours for user ${userId}:`, error);
+    }
+
+    // Work out coding time locally from the heartbeats we've stored
+    console.log(`Updating summary for user ${userId}`);
+    try {
+      const summary = await reconcileSummary(userId, await updateLocalSummary(userId));
+      if (summary) {
+        // Each subscribed channel fires on its own threshold
+        const preferences = slackUserId ? await prisma.slackNotificationPreference.findMany({
+          where: {
+            slack_user_id: slackUserId,
+            enabled: true
+          }
+        }) : [];
+
+        const projectSettings = (await getProjectSettings([userId])).get(userId);
+
+        const thresholds = new Map();
+        for (const pref of preferences) {
+          const channelSettings = await getChannelSettings(pref.slack_channel_id);
+          thresholds.set(pref.slack_channel_id, resolveThreshold(pref, channelSettings));
+        }
+
+        // Check each project for notification threshold
+        if (summary.projects) {
+          for (const project of summary.projects) {
+            for (const [channelId, thresholdSeconds] of thresholds) {
+              // Get last notification for this project in this channel
+              const lastNotification = await prisma.projectNotification.findUnique({
+                where: {
+                  user_id_project_name_slack_channel_id: {
+                    user_id: userId,
+                    project_name: project.key,
+                    slack_channel_id: channelId
+                  }
+                }
+              });
+
+              if (!lastNotification) {
+                // First time seeing this project in this channel, create initial record
+                await prisma.projectNotification.create({
+                  data: {
+                    user_id: userId,
+                    project_name: project.key,
+                    slack_channel_id: channelId,
+                    last_notified_at: new Date(),
+                    last_total_seconds: project.total
+                  }
+                });
+                continue;
+              }
+
+              // Calculate time since last notification
+              const secondsSinceNotification = project.total - lastNotification.last_total_seconds;
+
+              // Totals went backwards (e.g. a user's first local summary), so start counting from here
+              if (secondsSinceNotification < 0) {
+                await prisma.projectNotification.update({
+                  where: {
+                    id: lastNotification.id
+                  },
+                  data: {
+                    last_total_seconds: project.total
+                  }
+                });
+                continue;
+              }
+
+              // If they've coded for at least this channel's threshold
+              if (secondsSinceNotification >= thresholdSeconds) {
+                // Send notification, unless they've muted the project or it's backlog. Either way
+                // the count starts over so unmuting doesn't post a backlog.
+                const settings = projectSettings?.get(project.key.toLowerCase());
+                const shouldNotify = !settings?.muted && !isBacklog;
+                if (shouldNotify && quietMode === 'hold') {
+                  await holdNotification(userId, channelId, {
+                    project_name: project.key,
+                    seconds: secondsSinceNotification,
+                    total_seconds: project.total
+                  });
+                } else if (shouldNotify) {
+                  await notifyChannelAboutCoding(channelId, userId, slackUserId, project.key, project.total, thresholdSeconds, {
+                    isPrivate: settings?.private,
+                    mention: !quietMode
+                  });
+                }
+
+                // Update notification record
+                await prisma.projectNotification.update({
+                  where: {
+                    id: lastNotification.id
+                  },
+                  data: {
+                    last_notified_at: new Date(),
+                    last_total_seconds: project.total
+                  }
+                });
+              }
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to update summary for user ${userId}:`, error);
+    }
+
+    // Celebrate streak milestones
+    try {
+      const streak = await updateStreak(userId);
+      if (streak && !isBacklog && slackUserId) {
+        await notifyChannelsAboutStreak(userId, slackUserId, streak, quietMode);
+      }
+    } catch (error) {
+      console.error(`Failed to update streak for user ${userId}:`, error);
+    }
+  }
+  console.log('Finished processing all heartbeats');
+}
@@ -0,0 +1,135 @@
+import { prisma } from './db.js';
+import { slack, getUserInfo } from './slackClient.js';
+import { getCodingTimeBetween } from './rollups.js';
+import { getPeriodWindow, normalizeTimeZone } from './periods.js';
+import { getLatestSummary } from './summaries.js';
+import { computeStreak } from './streaks.js';
+import { getProjectLinks, formatProjectName } from './links.js';
+import { formatTime, formatBreakdown } from './stats.js';
+import { getHackatimeUserId } from './identity.js';
+import { isBanned } from './admin.js';
+
+// The App Home tab: a user's coding time, streak and the channels they get notifications in
+async function buildHomeView(slackUserId) {
+  const userInfo = await getUserInfo(slackUserId);
+  const userId = await getHackatimeUserId(slackUserId);
+  const timeZone = (userInfo.timezone && normalizeTimeZone(userInfo.timezone)) || 'UTC';
+  const today = getPeriodWindow('day', { timeZone });
+  const week = getPeriodWindow('week', { timeZone });
+
+  // Without a Hackatime account of their own there's no coding time to show
+  const userIds = userId ? [userId] : [];
+
+  const [weekTotals, todayTotals] = await Promise.all([
+    getCodingTimeBetween(userIds, week.start, week.end),
+    getCodingTimeBetween(userIds, today.start, today.end)
+  ]);
+  const allTime = userId && await getLatestSummary(userId);
+  const streak = userId ? await computeStreak(userId) : { current: 0, longest: 0, atRisk: false };
+  const links = (await getProjectLinks(userIds)).get(userId);
+  const preferences = await prisma.slackNotificationPreference.findMany({
+    where: { slack_user_id: slackUserId },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '⛵ Your Sailor\'s Log', emoji: true } },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Today*\n${formatTime(todayTotals.get(userId)?.total || 0)}` },
+        { type: 'mrkdwn', text: `*This Week*\n${formatTime(weekTotals.get(userId)?.total || 0)}` },
+        { type: 'mrkdwn', text: `*All Time*\n${formatTime(allTime?.total || 0)}` },
+        { type: 'mrkdwn', text: `*Streak*\n🔥 ${streak.current} day${streak.current === 1 ? '' : 's'} (longest: ${streak.longest})` }
+      ]
+    }
+  ];
+
+  if (streak.atRisk) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: '⚠️ You haven\'t coded enough today to keep your streak going yet.' }]
+    });
+  }
+
+  if (allTime?.projects?.length > 0) {
+    const projectName = name => formatProjectName(name, links?.get(name.toLowerCase()));
+    blocks.push(
+      { type: 'divider' },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Top Projects (all time)*\n${formatBreakdown(allTime.projects, allTime.total, projectName)}` },
+          { type: 'mrkdwn', text: `*Top Languages (all time)*\n${formatBreakdown(allTime.languages || [], allTime.total) || '_None yet_'}` }
+        ]
+      }
+    );
+  }
+
+  blocks.push(
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: '*Notifications*' } }
+  );
+
+  if (preferences.length === 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'You\'re not subscribed anywhere yet. Run `/sailorslog on` in a channel to get notifications there.' }]
+    });
+  }
+
+  for (const pref of preferences) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${pref.enabled ? '🔔' : '🔕'} <#${pref.slack_channel_id}>` },
+      accessory: {
+        type: 'button',
+        action_id: 'home_toggle_channel',
+        text: { type: 'plain_text', text: pref.enabled ? 'Turn off' : 'Turn on' },
+        value: JSON.stringify({ channel_id: pref.slack_channel_id }),
+        ...(!pref.enabled && { style: 'primary' })
+      }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `Today and this week are in your time zone (${timeZone}).` }]
+  });
+
+  return { type: 'home', blocks };
+}
+
+export async function publishHome(userId) {
+  try {
+    await slack.views.publish({
+      user_id: userId,
+      view: await buildHomeView(userId)
+    });
+  } catch (error) {
+    console.error(`Error publishing App Home for ${userId}:`, error);
+  }
+}
+
+// Turn notifications in one channel on or off from the App Home
+export async function toggleChannel(userId, channelId) {
+  const pref = await prisma.slackNotificationPreference.findUnique({
+    where: {
+      slack_user_id_slack_channel_id: {
+        slack_user_id: userId,
+        slack_channel_id: channelId
+      }
+    }
+  });
+  // Banned users can't turn themselves back on
+  if (!pref || (!pref.enabled && await isBanned(userId, channelId))) {
+    return;
+  }
+
+  await prisma.slackNotificationPreference.update({
+    where: { id: pref.id },
+    data: { enabled: !pref.enabled }
+  });
+  console.log(`User ${userId} turned notifications ${pref.enabled ? 'off' : 'on'} in channel ${channelId} from the App Home`);
+  await publishHome(userId);
+}
@@ -0,0 +1,125 @@
+import { prisma, getUserIdByApiKey } from './db.js';
+
+// Heartbeats belong to Hackatime users, while preferences, mentions and commands use Slack users.
+// Accounts are linked with /sailorslog link-account. Unlinked accounts fall back to the old
+// assumption that both IDs are the same.
+
+// Unlinked Hackatime users fall back to the same ID, unless the Slack user with that ID has
+// linked a different Hackatime account. Then nobody on Slack owns this one and this is null.
+export async function getSlackUserId(hackatimeUserId) {
+  const links = await prisma.accountLink.findMany({
+    where: {
+      OR: [
+        { hackatime_user_id: hackatimeUserId },
+        { slack_user_id: hackatimeUserId }
+      ]
+    }
+  });
+  const link = links.find(link => link.hackatime_user_id === hackatimeUserId);
+  if (link) {
+    return link.slack_user_id;
+  }
+  return links.length > 0 ? null : hackatimeUserId;
+}
+
+// Unlinked Slack users fall back to the same ID, unless another Slack user has linked the
+// Hackatime account with that ID. Then they have no Hackatime account of their own and this is null.
+export async function getHackatimeUserId(slackUserId) {
+  return (await getHackatimeUserIds([slackUserId])).get(slackUserId);
+}
+
+// Hackatime user for each Slack user, in one query
+export async function getHackatimeUserIds(slackUserIds) {
+  const links = await prisma.accountLink.findMany({
+    where: {
+      OR: [
+        { slack_user_id: { in: slackUserIds } },
+        { hackatime_user_id: { in: slackUserIds } }
+      ]
+    }
+  });
+  const linked = new Map(links.map(link => [link.slack_user_id, link.hackatime_user_id]));
+  const claimed = new Set(links.map(link => link.hackatime_user_id));
+  return new Map(slackUserIds.map(slackUserId => [
+    slackUserId,
+    linked.get(slackUserId) || (claimed.has(slackUserId) ? null : slackUserId)
+  ]));
+}
+
+// Link a Slack user to the Hackatime account an API key belongs to, since owning the key proves
+// owning the account. Returns the link, or null if the key doesn't belong to anyone.
+export async function linkAccount(slackUserId, apiKey) {
+  const hackatimeUserId = await getUserIdByApiKey(apiKey);
+  if (!hackatimeUserId) {
+    return null;
+  }
+
+  // Each account can only be linked once on either side
+  await prisma.accountLink.deleteMany({
+    where: {
+      OR: [
+        { slack_user_id: slackUserId },
+        { hackatime_user_id: hackatimeUserId }
+      ]
+    }
+  });
+
+  return prisma.accountLink.create({
+    data: {
+      slack_user_id: slackUserId,
+      hackatime_user_id: hackatimeUserId
+    }
+  });
+}
+
+export async function unlinkAccount(slackUserId) {
+  const { count } = await prisma.accountLink.deleteMany({
+    where: { slack_user_id: slackUserId }
+  });
+  return count > 0;
+}
+
+// Sailor's Log's own API keys, for sending heartbeats straight here instead of through hackatime.
+// Only a hash of each key is stored.
+async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function hasApiKey(slackUserId) {
+  const key = await prisma.apiKey.findUnique({
+    where: { slack_user_id: slackUserId }
+  });
+  return Boolean(key);
+}
+
+// Make a new API key for a Slack user, replacing any old one
+export async function createApiKey(slackUserId) {
+  const apiKey = crypto.randomUUID();
+  const keyHash = await hashApiKey(apiKey);
+  await prisma.apiKey.upsert({
+    where: { slack_user_id: slackUserId },
+    create: { slack_user_id: slackUserId, key_hash: keyHash },
+    update: { key_hash: keyHash }
+  });
+  return apiKey;
+}
+
+// The Hackatime user heartbeats sent with an API key belong to: the owner of a Sailor's Log key,
+// or of a hackatime key when there's a hackatime database to check. Null if the key is unknown.
+export async function getUserIdForApiKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const key = await prisma.apiKey.findUnique({
+    where: { key_hash: await hashApiKey(apiKey) }
+  });
+  if (key) {
+    return getHackatimeUserId(key.slack_user_id);
+  }
+
+  return process.env.HACKATIME_DATABASE_URL ? getUserIdByApiKey(apiKey) : null;
+}
@@ -0,0 +1,47 @@
+import { test, expect, mock, beforeEach } from 'bun:test';
+
+let links = [];
+
+// Just enough of AccountLink lookups: ORs of equals and `in` on its two IDs
+function matches(link, where) {
+  if (where.OR) {
+    return where.OR.some(condition => matches(link, condition));
+  }
+  return Object.entries(where).every(([field, value]) => value?.in ? value.in.includes(link[field]) : link[field] === value);
+}
+
+mock.module('./db.js', () => ({
+  prisma: {
+    accountLink: {
+      findMany: async ({ where }) => links.filter(link => matches(link, where))
+    }
+  },
+  getUserIdByApiKey: async () => null
+}));
+
+const { getSlackUserId, getHackatimeUserId, getHackatimeUserIds } = await import('./identity.js');
+
+beforeEach(() => {
+  links = [];
+});
+
+test('unlinked accounts use the same ID on both sides', async () => {
+  expect(await getSlackUserId('U1')).toBe('U1');
+  expect(await getHackatimeUserId('U1')).toBe('U1');
+});
+
+test('a Slack user who linked a different account doesn\'t get the Hackatime account with their ID', async () => {
+  links = [{ slack_user_id: 'U1', hackatime_user_id: 'H9' }];
+
+  expect(await getSlackUserId('H9')).toBe('U1');
+  expect(await getSlackUserId('U1')).toBeNull();
+  expect(await getHackatimeUserId('U1')).toBe('H9');
+});
+
+test('a Slack user whose ID someone else linked has no Hackatime account', async () => {
+  links = [{ slack_user_id: 'U2', hackatime_user_id: 'U1' }];
+
+  expect(await getHackatimeUserId('U1')).toBeNull();
+  expect(await getHackatimeUserIds(['U1', 'U2', 'U3'])).toEqual(new Map([['U1', null], ['U2', 'U1'], ['U3', 'U3']]));
+  expect(await getSlackUserId('U1')).toBe('U2');
+});
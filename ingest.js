@@ -0,0 +1,156 @@
+import { storeHeartbeats, processHeartbeats } from './heartbeats.js';
+import { getUserIdForApiKey } from './identity.js';
+
+// A WakaTime-compatible heartbeat API, so editor plugins can send heartbeats straight to
+// Sailor's Log. Point them at it with `api_url = https://<host>/api/v1` in ~/.wakatime.cfg.
+
+const MAX_BULK_HEARTBEATS = 1000;
+
+const OPERATING_SYSTEMS = {
+  darwin: 'Mac',
+  linux: 'Linux',
+  windows: 'Windows'
+};
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// WakaTime plugins send the key as HTTP basic auth, some tools as a bearer token or ?api_key=
+function getApiKey(req) {
+  const [scheme, value] = (req.headers.get('authorization') || '').split(' ');
+  if (scheme?.toLowerCase() === 'basic' && value) {
+    return Buffer.from(value, 'base64').toString().split(':')[0];
+  }
+  if (scheme?.toLowerCase() === 'bearer' && value) {
+    return value;
+  }
+  return new URL(req.url).searchParams.get('api_key');
+}
+
+// "wakatime/v1.90.0 (linux-6.5.0-x86_64) go1.21.5 vscode/1.85.1 vscode-wakatime/24.4.0"
+// has the OS in brackets and the editor right before the plugin
+function parseUserAgent(userAgent = '') {
+  const os = userAgent.match(/\(([a-z]+)[-)]/i)?.[1]?.toLowerCase();
+  const editor = userAgent.match(/([a-z0-9_.-]+)\/[^ ]+ [a-z0-9_.-]+-wakatime\//i)?.[1]?.toLowerCase()
+    || userAgent.match(/ ([a-z0-9_.-]+)-wakatime\//i)?.[1]?.toLowerCase();
+  return {
+    editor: editor || null,
+    operatingSystem: os ? (OPERATING_SYSTEMS[os] || os) : null
+  };
+}
+
+// The same heartbeat sent twice (plugins resend after timeouts) gets the same ID, so it's only stored once
+async function hashHeartbeat(parts) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(parts)));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Turn a WakaTime heartbeat into the shape hackatime stores, or null if it isn't valid
+async function toHeartbeat(userId, payload, req, receivedAt) {
+  // WakaTime times are seconds, ours are milliseconds
+  const time = Number(payload?.time) * 1000;
+  if (!payload?.entity || !isFinite(time) || time <= 0) {
+    return null;
+  }
+
+  const userAgent = payload.user_agent || req.headers.get('user-agent');
+  const { editor, operatingSystem } = parseUserAgent(userAgent || '');
+  const hash = await hashHeartbeat([
+    userId,
+    payload.entity,
+    payload.type,
+    payload.category,
+    payload.project,
+    payload.branch,
+    payload.language,
+    Boolean(payload.is_write),
+    time
+  ]);
+
+  return {
+    id: hash,
+    user_id: userId,
+    entity: payload.entity,
+    type: payload.type || 'file',
+    category: payload.category || 'coding',
+    project: payload.project || null,
+    branch: payload.branch || null,
+    language: payload.language || null,
+    is_write: Boolean(payload.is_write),
+    editor,
+    operating_system: operatingSystem,
+    machine: payload.machine || req.headers.get('x-machine-name'),
+    user_agent: userAgent,
+    time,
+    hash,
+    origin: 'sailorslog-api',
+    origin_id: null,
+    created_at: receivedAt,
+    project_root_count: payload.project_root_count,
+    line_additions: payload.line_additions,
+    line_deletions: payload.line_deletions,
+    lines: payload.lines,
+    line_number: payload.lineno,
+    cursor_position: payload.cursorpos,
+    dependencies: Array.isArray(payload.dependencies) ? payload.dependencies.join(',') : payload.dependencies || null
+  };
+}
+
+// POST /api/v1/users/current/heartbeats takes one heartbeat, .bulk an array of them. Replies
+// follow WakaTime's API so plugins know which ones were accepted.
+export async function handleHeartbeatRequest(req, { bulk = false } = {}) {
+  try {
+    const userId = await getUserIdForApiKey(getApiKey(req));
+    if (!userId) {
+      return jsonResponse({ error: 'Invalid API key' }, 401);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON' }, 400);
+    }
+
+    const payloads = bulk ? body : [body];
+    if (!Array.isArray(payloads)) {
+      return jsonResponse({ error: 'Expected an array of heartbeats' }, 400);
+    }
+    if (payloads.length > MAX_BULK_HEARTBEATS) {
+      return jsonResponse({ error: `At most ${MAX_BULK_HEARTBEATS} heartbeats per request` }, 400);
+    }
+
+    const receivedAt = new Date();
+    const heartbeats = await Promise.all(payloads.map(payload => toHeartbeat(userId, payload, req, receivedAt)));
+    const valid = heartbeats.filter(Boolean);
+    console.log(`Received ${valid.length} heartbeats for user ${userId} through the API (${heartbeats.length - valid.length} invalid)`);
+
+    // Reply as soon as they're stored, notifications and the rest happen in the background
+    const { stored, failed } = await storeHeartbeats(valid, 'api');
+    processHeartbeats(stored);
+
+    // Plugins send heartbeats that failed again later
+    const respond = heartbeat => {
+      if (!heartbeat || !stored.includes(heartbeat)) {
+        return failed.includes(heartbeat)
+          ? [{ error: 'Failed to store heartbeat' }, 500]
+          : [{ error: 'Invalid heartbeat' }, 400];
+      }
+      return [{ data: { id: heartbeat.id } }, 201];
+    };
+
+    if (!bulk) {
+      return jsonResponse(...respond(heartbeats[0]));
+    }
+    return jsonResponse({ responses: heartbeats.map(respond) }, 201);
+  } catch (error) {
+    console.error('Error receiving heartbeats:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500);
+  }
+}
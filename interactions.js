@@ -0,0 +1,157 @@
+import { prisma } from './db.js';
+import { updateProjectSettings } from './projects.js';
+import { getHackatimeUserId } from './identity.js';
+import { formatUserStats } from './stats.js';
+import { formatProjectName } from './links.js';
+import { toggleChannel } from './home.js';
+
+// Buttons under each coding notification. Values say who and what the notification was about.
+// Private projects leave their name out, since anyone in the channel can read button values.
+export function notificationActions(userId, project, isPrivate = false) {
+  const value = JSON.stringify(isPrivate ? { user_id: userId } : { user_id: userId, project });
+  const elements = [
+    { type: 'button', action_id: 'cheer', text: { type: 'plain_text', text: '🎉 Cheer', emoji: true }, style: 'primary', value },
+    { type: 'button', action_id: 'my_stats', text: { type: 'plain_text', text: '📊 See my stats', emoji: true }, value }
+  ];
+  if (!isPrivate) {
+    elements.push({ type: 'button', action_id: 'mute_project', text: { type: 'plain_text', text: '🔇 Mute this project', emoji: true }, value });
+  }
+
+  return {
+    type: 'actions',
+    block_id: 'notification_actions',
+    elements
+  };
+}
+
+async function respond(responseUrl, message) {
+  const response = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+}
+
+// Only the person who clicked sees these
+function respondPrivately(payload, message) {
+  return respond(payload.response_url, {
+    response_type: 'ephemeral',
+    replace_original: false,
+    ...message
+  });
+}
+
+async function handleCheer(payload, { user_id }) {
+  const cheeredBy = payload.user.id;
+  if (cheeredBy === user_id) {
+    return respondPrivately(payload, { text: 'You can\'t cheer for yourself, but keep it up! ⛵' });
+  }
+
+  const message = {
+    slack_channel_id: payload.channel.id,
+    message_ts: payload.message.ts
+  };
+  // Double clicks race, so let the unique constraint decide who already cheered
+  try {
+    await prisma.cheer.create({
+      data: { ...message, user_id, cheered_by: cheeredBy }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return respondPrivately(payload, { text: 'You\'ve already cheered for this one 🎉' });
+    }
+    throw error;
+  }
+  const cheers = await prisma.cheer.findMany({
+    where: message,
+    orderBy: { created_at: 'asc' }
+  });
+
+  // Show the count on the button and credit everyone who cheered under the notification
+  const blocks = payload.message.blocks
+    .filter(block => block.block_id !== 'cheers')
+    .map(block => block.block_id !== 'notification_actions' ? block : {
+      ...block,
+      elements: block.elements.map(element => element.action_id !== 'cheer' ? element : {
+        ...element,
+        text: { ...element.text, text: `🎉 Cheer (${cheers.length})` }
+      })
+    });
+  blocks.push({
+    type: 'context',
+    block_id: 'cheers',
+    elements: [{ type: 'mrkdwn', text: `🎉 Cheered by ${cheers.map(cheer => `<@${cheer.cheered_by}>`).join(', ')}` }]
+  });
+
+  return respond(payload.response_url, {
+    replace_original: true,
+    text: payload.message.text,
+    blocks
+  });
+}
+
+async function handleMute(payload, { user_id, project }, muted) {
+  if (payload.user.id !== user_id) {
+    return respondPrivately(payload, { text: `Only <@${user_id}> can mute their own projects.` });
+  }
+
+  const hackatimeUserId = await getHackatimeUserId(user_id);
+  if (!hackatimeUserId) {
+    return respondPrivately(payload, { text: 'Sorry, someone else has linked the Hackatime account with your Slack ID. Link your own with `/sailorslog link-account <api key>` first.' });
+  }
+
+  await updateProjectSettings(hackatimeUserId, project, { muted });
+  const name = formatProjectName(project);
+
+  if (!muted) {
+    return respondPrivately(payload, { text: `🔔 Notifications for *${name}* are back on.` });
+  }
+  return respondPrivately(payload, {
+    text: `🔇 Muted *${name}*. You won't get coding notifications for it anymore.`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `🔇 Muted *${name}*. You won't get coding notifications for it anymore.` }
+      },
+      {
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: 'unmute_project', text: { type: 'plain_text', text: 'Undo' }, value: JSON.stringify({ user_id, project }) }
+        ]
+      }
+    ]
+  });
+}
+
+async function handleMyStats(payload) {
+  return respondPrivately(payload, await formatUserStats(payload.user.id, 'day'));
+}
+
+const ACTIONS = {
+  cheer: handleCheer,
+  my_stats: handleMyStats,
+  mute_project: (payload, value) => handleMute(payload, value, true),
+  unmute_project: (payload, value) => handleMute(payload, value, false),
+  home_toggle_channel: (payload, { channel_id }) => toggleChannel(payload.user.id, channel_id)
+};
+
+export async function handleInteraction(payload) {
+  console.log('Received interaction:', { type: payload.type, user: payload.user?.id });
+
+  if (payload.type === 'block_actions') {
+    for (const action of payload.actions) {
+      const handler = ACTIONS[action.action_id];
+      if (!handler) {
+        console.log('Ignoring unknown action:', action.action_id);
+        continue;
+      }
+      await handler(payload, JSON.parse(action.value || '{}'));
+    }
+  }
+
+  // Slack only needs to know we got it, replies go to the response URL
+  return new Response(null, { status: 200 });
+}
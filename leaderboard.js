@@ -0,0 +1,263 @@
+import { prisma } from './db.js';
+import { getCodingTimeBetween } from './rollups.js';
+import { getUserInfo } from './slackClient.js';
+import { getChannelSettings } from './settings.js';
+import { getProjectLinks, formatProjectName } from './links.js';
+import { getProjectSettings, hidePrivateProjects } from './projects.js';
+import { getHackatimeUserIds } from './identity.js';
+import { getPeriodWindow, describeWindow, normalizeTimeZone, WEEKDAYS } from './periods.js';
+
+// Narrow a user's coding time down to one language ({ type: 'language' }) or project ({ type: 'project' })
+function filterSummary(summary, filter) {
+  if (!filter) {
+    return summary;
+  }
+
+  const matches = key => key.toLowerCase() === filter.value.toLowerCase();
+  let projects;
+  if (filter.type === 'project') {
+    projects = summary.projects.filter(project => !project.secret && matches(project.key));
+  } else {
+    projects = summary.projects
+      .map(project => {
+        const language = project.languages.find(language => matches(language.key));
+        return language && { key: project.key, total: language.total, languages: [language] };
+      })
+      .filter(Boolean);
+  }
+
+  return {
+    total: projects.reduce((total, project) => total + project.total, 0),
+    projects,
+    name: filter.type === 'project'
+      ? projects[0]?.key
+      : summary.languages.find(language => matches(language.key))?.key
+  };
+}
+
+// Rank everyone subscribed to a channel by coding time in the period, optionally only counting
+// one language or project
+export async function computeLeaderboard(channel_id, period = 'day', limit = 10, filter = null) {
+  const settings = await getChannelSettings(channel_id);
+  const timeZone = settings?.timezone || 'UTC';
+  const weekStart = settings?.week_start ?? 1;
+  const perUserTimezones = Boolean(settings?.use_user_timezones);
+  const now = new Date();
+
+  // Get all users subscribed to this channel
+  const subscribers = await prisma.slackNotificationPreference.findMany({
+    where: {
+      slack_channel_id: channel_id,
+      enabled: true
+    },
+    select: {
+      slack_user_id: true
+    }
+  });
+
+  // Group members by the time zone their "today" and "this week" are measured in
+  const zones = new Map();
+  for (const subscriber of subscribers) {
+    let zone = timeZone;
+    if (perUserTimezones) {
+      const { timezone } = await getUserInfo(subscriber.slack_user_id);
+      zone = (timezone && normalizeTimeZone(timezone)) || timeZone;
+    }
+    if (!zones.has(zone)) {
+      zones.set(zone, []);
+    }
+    zones.get(zone).push(subscriber.slack_user_id);
+  }
+
+  // Coding time is stored under Hackatime users, the leaderboard shows Slack users
+  const hackatimeUserIds = await getHackatimeUserIds(subscribers.map(subscriber => subscriber.slack_user_id));
+  const slackUserIds = new Map([...hackatimeUserIds].filter(([, userId]) => userId).map(([slackUserId, userId]) => [userId, slackUserId]));
+
+  // Add up everyone's coding time for the period
+  const codingTime = new Map();
+  for (const [zone, zoneSlackUserIds] of zones) {
+    const window = getPeriodWindow(period, { timeZone: zone, weekStart, now });
+    const userIds = zoneSlackUserIds.map(slackUserId => hackatimeUserIds.get(slackUserId)).filter(Boolean);
+    for (const [userId, summary] of await getCodingTimeBetween(userIds, window.start, window.end)) {
+      codingTime.set(userId, summary);
+    }
+  }
+
+  const projectSettings = await getProjectSettings([...codingTime.keys()]);
+  const userStats = [];
+  let filterName = filter?.value;
+  for (const [userId, userSummary] of codingTime) {
+    const summary = filterSummary(hidePrivateProjects(userSummary, projectSettings.get(userId)), filter);
+    // Use the spelling from the data ("Rust" rather than "rust") in the header
+    filterName = summary.name || filterName;
+
+    // Only add users who have coded during this period
+    if (summary.total <= 0) {
+      continue;
+    }
+
+    const projectStats = new Map();
+    for (const project of summary.projects) {
+      if (project.total > 0) {
+        projectStats.set(project.key, {
+          seconds: project.total,
+          secret: Boolean(project.secret),
+          languages: project.languages.map(language => language.key)
+        });
+      }
+    }
+
+    userStats.push({
+      user_id: slackUserIds.get(userId),
+      hackatime_user_id: userId,
+      total_minutes: Math.floor(summary.total / 60),
+      total_seconds: summary.total,
+      projects: projectStats
+    });
+  }
+
+  // Sort and get top N users
+  const leaderboard = userStats
+    .sort((a, b) => b.total_minutes - a.total_minutes)
+    .slice(0, limit === 'all' ? undefined : limit);
+
+  return {
+    entries: leaderboard,
+    window: getPeriodWindow(period, { timeZone, weekStart, now }),
+    perUserTimezones,
+    weekStart,
+    filter: filter && { ...filter, name: filterName }
+  };
+}
+
+export function describeLeaderboardWindow({ window, perUserTimezones, weekStart }) {
+  if (!perUserTimezones) {
+    return describeWindow(window);
+  }
+
+  if (window.period === 'week') {
+    const day = WEEKDAYS[weekStart];
+    return `Each member's own time zone, weeks start on ${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+  }
+  return 'Each member\'s own time zone';
+}
+
+// Languages that don't say much about what someone was working on
+const IGNORED_LANGUAGES = ['unknown', 'AUTO_DETECTED', 'PLAIN_TEXT', 'Text'];
+// Slack's limits for a single message
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_TEXT_LENGTH = 3000;
+const MAX_HEADER_LENGTH = 150;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+export function getTitle({ window, filter }) {
+  return filter
+    ? `${window.label} in ${filter.type === 'project' ? 'project ' : ''}${filter.name}`
+    : window.label;
+}
+
+// Names, times and project breakdowns for each place on the leaderboard
+export async function buildRows(leaderboard) {
+  // Fetch all user info in parallel
+  const userInfoPromises = leaderboard.map(entry => getUserInfo(entry.user_id));
+  const userInfos = await Promise.all(userInfoPromises);
+  const links = await getProjectLinks(leaderboard.map(entry => entry.hackatime_user_id));
+
+  return leaderboard.map((entry, i) => {
+    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '▫️';
+    const hours = Math.floor(entry.total_minutes / 60);
+    const minutes = entry.total_minutes % 60;
+    const timeStr = hours > 0 ? 
+      `${hours}h ${minutes}m` : 
+      `${minutes}m`;
+
+    const projects = Array.from(entry.projects.entries())
+      .sort((a, b) => b[1].seconds - a[1].seconds)
+      .filter(([_, stats]) => Math.floor(stats.seconds / 60) > 0);
+
+    const projectDetails = projects.map(([project, stats]) => ({
+      name: project,
+      url: stats.secret ? null : links.get(entry.hackatime_user_id)?.get(project.toLowerCase()) || null,
+      minutes: Math.floor(stats.seconds / 60),
+      // Languages are ordered by time spent
+      mainLang: stats.languages.filter(lang => !IGNORED_LANGUAGES.includes(lang))[0] || ''
+    }));
+
+    // Format project breakdown with languages
+    const projectBreakdown = projectDetails.map(project => {
+      return `${formatProjectName(project.name, project.url)} [${project.mainLang}]: ${project.minutes}m`;
+    });
+
+    const languages = [...new Set(projects.flatMap(([_, stats]) => stats.languages))]
+      .filter(lang => !IGNORED_LANGUAGES.includes(lang));
+
+    return {
+      rank: i + 1,
+      medal,
+      displayName: userInfos[i].displayName,
+      timeStr,
+      projects: projectDetails,
+      projectBreakdown,
+      languages
+    };
+  });
+}
+
+// Block Kit messages for a leaderboard, split across messages instead of going over Slack's
+// block limit. Each message has plain text for notifications and clients without blocks.
+export async function formatLeaderboard(result) {
+  const { entries: leaderboard, window, filter } = result;
+  if (leaderboard.length === 0) {
+    const activity = filter ? `${filter.name} coding activity` : 'coding activity';
+    const text = `No ${activity} found for ${window.label.toLowerCase()}.`;
+    return [{
+      text,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    }];
+  }
+
+  const title = getTitle(result);
+  const chunks = [];
+  let blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(`⛵ Sailor's Log - ${title}`, MAX_HEADER_LENGTH), emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `_${describeLeaderboardWindow(result)}_` }] },
+    { type: 'divider' }
+  ];
+
+  for (const row of await buildRows(leaderboard)) {
+    const rowBlocks = [{
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${row.medal} *${row.rank}. @${row.displayName}*: ${row.timeStr}` }
+    }];
+
+    if (row.projectBreakdown.length > 0) {
+      const elements = [{ type: 'mrkdwn', text: truncate(`📁 ${row.projectBreakdown.join(' + ')}`, MAX_TEXT_LENGTH) }];
+      if (row.languages.length > 0) {
+        elements.push({ type: 'mrkdwn', text: truncate(`💻 ${row.languages.join(', ')}`, MAX_TEXT_LENGTH) });
+      }
+      rowBlocks.push({ type: 'context', elements });
+    }
+
+    if (blocks.length + rowBlocks.length > MAX_BLOCKS_PER_MESSAGE) {
+      chunks.push(blocks);
+      blocks = [];
+    }
+    blocks.push(...rowBlocks);
+  }
+  chunks.push(blocks);
+
+  return chunks.map((blocks, i) => ({
+    text: chunks.length > 1
+      ? `⛵ Sailor's Log - ${title} (${i + 1}/${chunks.length})`
+      : `⛵ Sailor's Log - ${title}`,
+    blocks
+  }));
+}
+
+export async function getLeaderboard(channel_id, period = 'day', limit = 10, filter = null) {
+  const leaderboard = await computeLeaderboard(channel_id, period, limit, filter);
+  return formatLeaderboard(leaderboard);
+}
@@ -0,0 +1,120 @@
+import { prisma } from './db.js';
+
+// Slack sends links in commands as <https://example.com> or <https://example.com|label>
+export function normalizeUrl(text) {
+  const unwrapped = text.replace(/^<(.*)>$/, '$1').split('|')[0];
+  try {
+    const url = new URL(unwrapped);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+      return null;
+    }
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render a project name, linked with Slack markup when it has a URL
+export function formatProjectName(name, url) {
+  const escaped = escapeSlackText(name);
+  return url ? `<${url}|${escaped.replace(/\|/g, '¦')}>` : escaped;
+}
+
+// Links for each user, keyed by lowercased project name
+export async function getProjectLinks(userIds) {
+  const links = await prisma.projectLink.findMany({
+    where: {
+      user_id: { in: userIds }
+    }
+  });
+
+  const byUser = new Map();
+  for (const link of links) {
+    if (!byUser.has(link.user_id)) {
+      byUser.set(link.user_id, new Map());
+    }
+    byUser.get(link.user_id).set(link.project_name.toLowerCase(), link.url);
+  }
+  return byUser;
+}
+
+export async function getProjectLink(userId, projectName) {
+  const link = await prisma.projectLink.findFirst({
+    where: {
+      user_id: userId,
+      project_name: { equals: projectName, mode: 'insensitive' }
+    }
+  });
+  return link?.url || null;
+}
+
+export async function linkProject(userId, projectName, url) {
+  // Use the project's spelling from the heartbeats so there's only ever one link per project
+  const heartbeat = await prisma.syncedHeartbeat.findFirst({
+    where: {
+      user_id: userId,
+      project: { equals: projectName, mode: 'insensitive' }
+    },
+    select: { project: true }
+  });
+  const name = heartbeat?.project || projectName;
+
+  await prisma.projectLink.deleteMany({
+    where: {
+      user_id: userId,
+      project_name: { equals: name, mode: 'insensitive' }
+    }
+  });
+
+  return prisma.projectLink.create({
+    data: {
+      user_id: userId,
+      project_name: name,
+      url
+    }
+  });
+}
+
+export async function unlinkProject(userId, projectName) {
+  const { count } = await prisma.projectLink.deleteMany({
+    where: {
+      user_id: userId,
+      project_name: { equals: projectName, mode: 'insensitive' }
+    }
+  });
+  return count > 0;
+}
+
+// Guess a GitHub URL from where the project lives on disk, e.g. ~/src/github.com/owner/repo.
+// project_root_count says how many path segments make up the project's root folder.
+export async function suggestRepoUrl(userId, projectName) {
+  const heartbeats = await prisma.syncedHeartbeat.findMany({
+    where: {
+      user_id: userId,
+      project: { equals: projectName, mode: 'insensitive' },
+      entity: { not: null }
+    },
+    select: {
+      entity: true,
+      project_root_count: true
+    },
+    orderBy: { time: 'desc' },
+    take: 50
+  });
+
+  for (const heartbeat of heartbeats) {
+    const segments = heartbeat.entity.split(/[\\/]/);
+    // Only look inside the project root (+1 for the empty segment before a leading slash)
+    const root = heartbeat.project_root_count > 0 ? segments.slice(0, heartbeat.project_root_count + 1) : segments;
+    const index = root.findIndex(segment => segment.toLowerCase() === 'github.com');
+    if (index !== -1 && root[index + 1] && root[index + 2]) {
+      return `https://github.com/${root[index + 1]}/${root[index + 2].replace(/\.git$/, '')}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,107 @@
+// Counters, gauges and histograms kept in memory and served in Prometheus' text format at /metrics.
+// Small on purpose: just what the poller, outbox and Slack server need.
+
+const registry = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(name, type, help, metric) {
+  registry.set(name, { name, type, help, ...metric });
+  return metric;
+}
+
+export function counter(name, help) {
+  const values = new Map();
+  return register(name, 'counter', help, {
+    values,
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + value);
+    }
+  });
+}
+
+export function gauge(name, help) {
+  const values = new Map();
+  return register(name, 'gauge', help, {
+    values,
+    set(labels, value) {
+      values.set(labelKey(labels), value);
+    },
+    get(labels = {}) {
+      return values.get(labelKey(labels));
+    }
+  });
+}
+
+export function histogram(name, help, buckets) {
+  const series = new Map();
+  return register(name, 'histogram', help, {
+    series,
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    buckets
+  });
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type === 'histogram') {
+      for (const [key, entry] of metric.series) {
+        const labels = JSON.parse(key);
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', bound]])} ${entry.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${entry.count}`);
+      }
+      continue;
+    }
+
+    for (const [key, value] of metric.values) {
+      lines.push(`${metric.name}${formatLabels(JSON.parse(key))} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Heartbeat sync
+export const pollsTotal = counter('sailorslog_polls_total', 'Heartbeat polls by result (success or error)');
+export const lastPollTimestamp = gauge('sailorslog_last_poll_timestamp_seconds', 'When the poller last made progress, in Unix seconds');
+export const syncLagSeconds = gauge('sailorslog_sync_lag_seconds', 'How far behind hackatime the newest synced heartbeat is, 0 when caught up');
+export const heartbeatsTotal = counter('sailorslog_heartbeats_total', 'Heartbeats received by source (hackatime or api) and result (stored, failed or invalid)');
+export const hackatimeConnectionFailures = counter('sailorslog_hackatime_connection_failures_total', 'Times connecting to the hackatime database failed after all retries');
+
+// Hackatime summary API
+export const summaryApiRequests = counter('sailorslog_summary_api_requests_total', 'Summary API requests by result (success or error)');
+export const summaryApiDuration = histogram('sailorslog_summary_api_duration_seconds', 'Summary API response time', [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+// Slack
+export const slackMessagesTotal = counter('sailorslog_slack_messages_total', 'Slack messages by result (sent, retried, rate_limited or dead)');
+export const outboxMessages = gauge('sailorslog_outbox_messages', 'Messages in the outbox by status (pending or dead)');
+export const slashCommandsTotal = counter('sailorslog_slash_commands_total', 'Slash commands by action');
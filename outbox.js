@@ -0,0 +1,211 @@
+import { prisma } from './db.js';
+import { slackMessagesTotal } from './metrics.js';
+
+export const OUTBOX_INTERVAL = 5 * 1000; // 5 seconds
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 8;
+const INITIAL_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const SENT_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep sent messages around for a day
+
+// Errors that won't go away by trying again
+const CHANNEL_ERRORS = ['channel_not_found', 'not_in_channel', 'is_archived'];
+const PERMANENT_ERRORS = [...CHANNEL_ERRORS, 'invalid_blocks', 'msg_too_long', 'no_text', 'restricted_action'];
+
+let isDelivering = false;
+
+// Save a message to post. The delivery worker posts it as soon as Slack lets us.
+export async function enqueueMessage(channel, text, blocks) {
+  const message = await prisma.outboxMessage.create({
+    data: {
+      slack_channel_id: channel,
+      text,
+      blocks: blocks ? JSON.stringify(blocks) : null
+    }
+  });
+
+  // Don't wait for the next tick to post it
+  deliverOutbox();
+  return message;
+}
+
+// Returns { ok }, { ok: false, retryAfter } when rate limited, or { ok: false, error }
+async function postMessage(message) {
+  try {
+    const response = await fetch('https://slack.com/api/chat.postMessage', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`
+      },
+      body: JSON.stringify({
+        channel: message.slack_channel_id,
+        text: message.text,
+        ...(message.blocks && { blocks: JSON.parse(message.blocks) }),
+        unfurl_links: false,
+        unfurl_media: false
+      })
+    });
+
+    if (response.status === 429) {
+      return { ok: false, retryAfter: parseInt(response.headers.get('retry-after'), 10) || 1 };
+    }
+    if (!response.ok) {
+      return { ok: false, error: `HTTP error! status: ${response.status}` };
+    }
+
+    const result = await response.json();
+    if (result.error === 'ratelimited') {
+      return { ok: false, retryAfter: 1 };
+    }
+    return result.ok ? { ok: true } : { ok: false, error: result.error };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+async function deadLetter(message, error) {
+  await prisma.outboxMessage.update({
+    where: { id: message.id },
+    data: {
+      status: 'dead',
+      attempts: message.attempts + 1,
+      last_error: error
+    }
+  });
+  slackMessagesTotal.inc({ result: 'dead' });
+  console.error(`Gave up on Slack message ${message.id} to channel ${message.slack_channel_id}: ${error}`);
+
+  // We can't post there anymore, so stop trying to
+  if (CHANNEL_ERRORS.includes(error)) {
+    const { count } = await prisma.slackNotificationPreference.updateMany({
+      where: {
+        slack_channel_id: message.slack_channel_id,
+        enabled: true
+      },
+      data: { enabled: false }
+    });
+    await prisma.channelSettings.updateMany({
+      where: { slack_channel_id: message.slack_channel_id },
+      data: {
+        leaderboard_daily: false,
+        leaderboard_weekly: false
+      }
+    });
+    console.log(`Disabled ${count} notification preferences and scheduled leaderboards for channel ${message.slack_channel_id}`);
+  }
+}
+
+// Save messages that belong together, like the parts of a long leaderboard, all at once and
+// posted in order. `queries` are more Prisma queries to commit along with them.
+export async function enqueueMessages(channel, messages, queries = []) {
+  const now = Date.now();
+  await prisma.$transaction([
+    ...messages.map(({ text, blocks }, i) => prisma.outboxMessage.create({
+      data: {
+        slack_channel_id: channel,
+        text,
+        blocks: blocks ? JSON.stringify(blocks) : null,
+        created_at: new Date(now + i) // Keeps them in order, they'd all get the same time otherwise
+      }
+    })),
+    ...queries
+  ]);
+
+  deliverOutbox();
+}
+
+// Post due messages oldest first. A channel's messages stay in order, so once one of them
+// has to wait, the rest of that channel's messages wait behind it.
+export async function deliverOutbox(now = new Date()) {
+  if (isDelivering) {
+    return;
+  }
+
+  isDelivering = true;
+  try {
+    // Dead messages stay for someone to look at, sent ones aren't needed anymore. Cleaned up
+    // first so a rate limit cutting delivery short doesn't skip it.
+    await prisma.outboxMessage.deleteMany({
+      where: {
+        status: 'sent',
+        sent_at: { lt: new Date(now.getTime() - SENT_RETENTION_MS) }
+      }
+    });
+
+    // Only the oldest message in a channel is ever retried later, so a channel with a message
+    // waiting is held up behind it. Leaving those channels out keeps them from filling the batch.
+    const waitingChannels = await prisma.outboxMessage.findMany({
+      where: {
+        status: 'pending',
+        next_attempt_at: { gt: now }
+      },
+      distinct: ['slack_channel_id'],
+      select: { slack_channel_id: true }
+    });
+    const messages = await prisma.outboxMessage.findMany({
+      where: {
+        status: 'pending',
+        next_attempt_at: { lte: now },
+        slack_channel_id: { notIn: waitingChannels.map(message => message.slack_channel_id) }
+      },
+      orderBy: { created_at: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    const waiting = new Set();
+    for (const message of messages) {
+      if (waiting.has(message.slack_channel_id)) {
+        continue;
+      }
+
+      const result = await postMessage(message);
+
+      if (result.ok) {
+        await prisma.outboxMessage.update({
+          where: { id: message.id },
+          data: {
+            status: 'sent',
+            attempts: message.attempts + 1,
+            sent_at: new Date()
+          }
+        });
+        slackMessagesTotal.inc({ result: 'sent' });
+        continue;
+      }
+
+      // Rate limits apply to everything we post, so stop until Slack says we can go again
+      if (result.retryAfter) {
+        console.log(`Rate limited by Slack, retrying in ${result.retryAfter} seconds`);
+        slackMessagesTotal.inc({ result: 'rate_limited' });
+        await prisma.outboxMessage.update({
+          where: { id: message.id },
+          data: { next_attempt_at: new Date(Date.now() + result.retryAfter * 1000) }
+        });
+        return;
+      }
+
+      if (PERMANENT_ERRORS.includes(result.error) || message.attempts + 1 >= MAX_ATTEMPTS) {
+        await deadLetter(message, result.error);
+        continue;
+      }
+
+      const delay = Math.min(INITIAL_RETRY_DELAY * Math.pow(2, message.attempts), MAX_RETRY_DELAY);
+      console.log(`Failed to post Slack message ${message.id} (${result.error}), retrying in ${delay / 1000} seconds`);
+      slackMessagesTotal.inc({ result: 'retried' });
+      await prisma.outboxMessage.update({
+        where: { id: message.id },
+        data: {
+          attempts: message.attempts + 1,
+          next_attempt_at: new Date(Date.now() + delay),
+          last_error: result.error
+        }
+      });
+      waiting.add(message.slack_channel_id);
+    }
+  } catch (error) {
+    console.error('Error delivering Slack messages:', error);
+  } finally {
+    isDelivering = false;
+  }
+}
@@ -0,0 +1,156 @@
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check an IANA time zone name and return its canonical spelling ("america/new_york" -> "America/New_York")
+export function normalizeTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "mon" or "Monday" -> 1, -1 if it isn't a day of the week
+export function parseWeekday(value) {
+  const prefix = value?.toLowerCase().slice(0, 3);
+  return prefix ? WEEKDAYS.findIndex(day => day.startsWith(prefix)) : -1;
+}
+
+// Calendar date and wall clock time of an instant in a time zone
+export function getZonedParts(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+
+  return {
+    year: parseInt(get('year'), 10),
+    month: parseInt(get('month'), 10),
+    day: parseInt(get('day'), 10),
+    hour: parseInt(get('hour'), 10),
+    minute: parseInt(get('minute'), 10),
+    second: parseInt(get('second'), 10),
+    weekday: SHORT_WEEKDAYS.indexOf(get('weekday'))
+  };
+}
+
+export function getZonedDate(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function getOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a local calendar day starts. Out-of-range days roll over like Date.UTC does.
+export function startOfZonedDay(year, month, day, timeZone = 'UTC') {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const guess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  // Check the offset again at the guess in case a DST change falls in between
+  return new Date(wallClock - getOffsetMs(new Date(guess), timeZone));
+}
+
+export const PERIODS = ['day', 'yesterday', 'week', 'lastweek', 'month', 'year', 'all'];
+const PERIOD_ALIASES = { today: 'day', 'last-week': 'lastweek', alltime: 'all', 'all-time': 'all' };
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseDate(text) {
+  const match = text.match(DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates that roll over, like 2026-02-30
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+// Turn "week", "today" or "2026-10-01..2026-10-07" into a period name getPeriodWindow understands.
+// Returns { period } or { error }.
+export function parsePeriod(text) {
+  const value = PERIOD_ALIASES[text] || text;
+  if (PERIODS.includes(value)) {
+    return { period: value };
+  }
+
+  if (!value.includes('..')) {
+    return { error: `\`${text}\` isn't a period I know. Try one of ${PERIODS.map(p => `\`${p}\``).join(', ')} or a range like \`2026-10-01..2026-10-07\`.` };
+  }
+
+  const [from, to] = value.split('..');
+  if (!parseDate(from) || !parseDate(to)) {
+    return { error: `\`${text}\` isn't a valid date range. Use \`YYYY-MM-DD..YYYY-MM-DD\`, like \`2026-10-01..2026-10-07\`.` };
+  }
+  if (from > to) {
+    return { error: `The range \`${text}\` ends before it starts.` };
+  }
+  return { period: `${from}..${to}` };
+}
+
+// The window a leaderboard period covers, in the given time zone. Weeks are calendar weeks
+// starting on `weekStart` (0 = Sunday). Ranges ("2026-10-01..2026-10-07") include both days.
+export function getPeriodWindow(period, { timeZone = 'UTC', weekStart = 1, now = new Date() } = {}) {
+  const today = getZonedParts(now, timeZone);
+  const startOfDay = (offsetDays = 0) => startOfZonedDay(today.year, today.month, today.day + offsetDays, timeZone);
+  const daysSinceWeekStart = (today.weekday - weekStart + 7) % 7;
+  const window = (label, start, end = now) => ({ period, label, start, end, timeZone });
+
+  switch (period) {
+    case 'yesterday':
+      return window('Yesterday', startOfDay(-1), startOfDay());
+    case 'week':
+      return window('This Week', startOfDay(-daysSinceWeekStart));
+    case 'lastweek':
+      return window('Last Week', startOfDay(-daysSinceWeekStart - 7), startOfDay(-daysSinceWeekStart));
+    case 'month':
+      return window('This Month', startOfZonedDay(today.year, today.month, 1, timeZone));
+    case 'year':
+      return window('This Year', startOfZonedDay(today.year, 1, 1, timeZone));
+    case 'all':
+      return window('All Time', new Date(0));
+  }
+
+  if (period.includes('..')) {
+    const [from, to] = period.split('..');
+    const first = parseDate(from);
+    const last = parseDate(to);
+    const end = startOfZonedDay(last.year, last.month, last.day + 1, timeZone);
+    return window(`${from} to ${to}`, startOfZonedDay(first.year, first.month, first.day, timeZone), end < now ? end : now);
+  }
+
+  return { ...window('Today', startOfDay()), period: 'day' };
+}
+
+// "Mon, Oct 13 – Sun, Oct 19 (Europe/Berlin)"
+export function describeWindow(window) {
+  if (window.period === 'all') {
+    return 'Since Sailor\'s Log started keeping track';
+  }
+
+  const format = date => new Intl.DateTimeFormat('en-US', {
+    timeZone: window.timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  }).format(date);
+
+  const first = format(window.start);
+  // The end is exclusive, so step back a moment to name the last day covered
+  const last = format(new Date(window.end.getTime() - 1));
+  const range = first === last ? first : `${first} – ${last}`;
+  return `${range} (${window.timeZone})`;
+}
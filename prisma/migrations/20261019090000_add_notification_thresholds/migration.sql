@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "SlackNotificationPreference" ADD COLUMN "threshold_seconds" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ChannelSettings" (
+    "id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "threshold_seconds" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ChannelSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChannelSettings_slack_channel_id_key" ON "ChannelSettings"("slack_channel_id");
+
+-- AlterTable
+ALTER TABLE "ProjectNotification" ADD COLUMN "slack_channel_id" TEXT;
+
+-- Copy the existing per-project bookkeeping to every channel the user is subscribed to,
+-- so switching to per-channel tracking doesn't trigger a burst of catch-up notifications
+INSERT INTO "ProjectNotification" ("id", "user_id", "project_name", "slack_channel_id", "last_notified_at", "last_total_seconds", "created_at", "updated_at")
+SELECT gen_random_uuid()::text, n."user_id", n."project_name", p."slack_channel_id", n."last_notified_at", n."last_total_seconds", n."created_at", CURRENT_TIMESTAMP
+FROM "ProjectNotification" n
+JOIN "SlackNotificationPreference" p ON p."slack_user_id" = n."user_id"
+WHERE n."slack_channel_id" IS NULL;
+
+DELETE FROM "ProjectNotification" WHERE "slack_channel_id" IS NULL;
+
+ALTER TABLE "ProjectNotification" ALTER COLUMN "slack_channel_id" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "ProjectNotification_user_id_project_name_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectNotification_user_id_project_name_slack_channel_id_key" ON "ProjectNotification"("user_id", "project_name", "slack_channel_id");
+
+-- CreateIndex
+CREATE INDEX "ProjectNotification_slack_channel_id_idx" ON "ProjectNotification"("slack_channel_id");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "UserSummary" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'local';
+
+-- Everything stored so far came from the summary API
+UPDATE "UserSummary" SET "source" = 'remote';
+
+-- CreateIndex
+CREATE INDEX "UserSummary_user_id_source_created_at_idx" ON "UserSummary"("user_id", "source", "created_at");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "UserCodingTime" ADD COLUMN "languages" TEXT NOT NULL DEFAULT '[]',
+ADD COLUMN "projects" TEXT NOT NULL DEFAULT '[]';
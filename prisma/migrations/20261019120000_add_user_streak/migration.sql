@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "UserStreak" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "current_streak" INTEGER NOT NULL DEFAULT 0,
+    "longest_streak" INTEGER NOT NULL DEFAULT 0,
+    "last_coded_date" DATE,
+    "celebrated_streak" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UserStreak_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserStreak_user_id_key" ON "UserStreak"("user_id");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "ChannelSettings" ADD COLUMN "leaderboard_daily" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "leaderboard_weekly" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "leaderboard_hour" INTEGER NOT NULL DEFAULT 17,
+ADD COLUMN "leaderboard_weekday" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LeaderboardPost" (
+    "id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "schedule" TEXT NOT NULL,
+    "last_period" TEXT NOT NULL,
+    "last_posted_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LeaderboardPost_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LeaderboardPost_slack_channel_id_schedule_key" ON "LeaderboardPost"("slack_channel_id", "schedule");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ChannelSettings" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC',
+ADD COLUMN "use_user_timezones" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "week_start" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "SlackUserCache" ADD COLUMN "timezone" TEXT;
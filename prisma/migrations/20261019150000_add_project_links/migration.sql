@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ProjectLink" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "project_name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectLink_user_id_project_name_key" ON "ProjectLink"("user_id", "project_name");
+
+-- CreateIndex
+CREATE INDEX "ProjectLink_user_id_idx" ON "ProjectLink"("user_id");
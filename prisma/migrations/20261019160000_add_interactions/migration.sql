@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "ProjectSettings" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "project_name" TEXT NOT NULL,
+    "muted" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Cheer" (
+    "id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "message_ts" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "cheered_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Cheer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectSettings_user_id_project_name_key" ON "ProjectSettings"("user_id", "project_name");
+
+-- CreateIndex
+CREATE INDEX "ProjectSettings_user_id_idx" ON "ProjectSettings"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Cheer_slack_channel_id_message_ts_cheered_by_key" ON "Cheer"("slack_channel_id", "message_ts", "cheered_by");
+
+-- CreateIndex
+CREATE INDEX "Cheer_user_id_idx" ON "Cheer"("user_id");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProjectSettings" ADD COLUMN     "private" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "UserSettings" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "quiet_start" INTEGER,
+    "quiet_end" INTEGER,
+    "respect_dnd" BOOLEAN NOT NULL DEFAULT false,
+    "quiet_mode" TEXT NOT NULL DEFAULT 'hold',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UserSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PendingNotification" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "project_name" TEXT NOT NULL,
+    "seconds" INTEGER NOT NULL,
+    "total_seconds" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingNotification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserSettings_user_id_key" ON "UserSettings"("user_id");
+
+-- CreateIndex
+CREATE INDEX "PendingNotification_user_id_idx" ON "PendingNotification"("user_id");
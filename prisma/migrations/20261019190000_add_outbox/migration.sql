@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "OutboxMessage" (
+    "id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "blocks" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OutboxMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OutboxMessage_status_created_at_idx" ON "OutboxMessage"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "OutboxMessage_slack_channel_id_idx" ON "OutboxMessage"("slack_channel_id");
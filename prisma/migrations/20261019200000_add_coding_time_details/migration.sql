@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "UserCodingTime" ADD COLUMN     "editors" TEXT NOT NULL DEFAULT '[]',
+ADD COLUMN     "operating_systems" TEXT NOT NULL DEFAULT '[]',
+ADD COLUMN     "lines_added" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lines_removed" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "AccountLink" (
+    "id" TEXT NOT NULL,
+    "slack_user_id" TEXT NOT NULL,
+    "hackatime_user_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AccountLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountLink_slack_user_id_key" ON "AccountLink"("slack_user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountLink_hackatime_user_id_key" ON "AccountLink"("hackatime_user_id");
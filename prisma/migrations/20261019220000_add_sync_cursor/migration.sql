@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "SyncCursor" (
+    "id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL,
+    "row_id" TEXT NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncCursor_pkey" PRIMARY KEY ("id")
+);
+
+-- Pick up from the newest heartbeat already synced
+INSERT INTO "SyncCursor" ("id", "created_at", "row_id", "updated_at")
+SELECT 'heartbeats', "created_at", "id", CURRENT_TIMESTAMP
+FROM "SyncedHeartbeat"
+ORDER BY "created_at" DESC, "id" DESC
+LIMIT 1;
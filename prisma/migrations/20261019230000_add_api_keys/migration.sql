@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ApiKey" (
+    "id" TEXT NOT NULL,
+    "slack_user_id" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_slack_user_id_key" ON "ApiKey"("slack_user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_key_hash_key" ON "ApiKey"("key_hash");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ChannelSettings" ADD COLUMN "public_leaderboard" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "SyncedHeartbeat" ADD COLUMN "flagged" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ActivityFlag" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "rule" TEXT NOT NULL,
+    "start" TIMESTAMP(3) NOT NULL,
+    "end" TIMESTAMP(3) NOT NULL,
+    "seconds" INTEGER NOT NULL,
+    "details" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'flagged',
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ActivityFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ActivityFlag_user_id_rule_idx" ON "ActivityFlag"("user_id", "rule");
+
+-- CreateIndex
+CREATE INDEX "ActivityFlag_status_created_at_idx" ON "ActivityFlag"("status", "created_at");
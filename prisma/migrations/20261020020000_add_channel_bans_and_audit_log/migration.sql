@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "ChannelBan" (
+    "id" TEXT NOT NULL,
+    "slack_channel_id" TEXT NOT NULL,
+    "slack_user_id" TEXT NOT NULL,
+    "banned_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChannelBan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "actor_slack_user_id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "slack_channel_id" TEXT,
+    "target" TEXT,
+    "details" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChannelBan_slack_channel_id_slack_user_id_key" ON "ChannelBan"("slack_channel_id", "slack_user_id");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_slack_channel_id_created_at_idx" ON "AuditLog"("slack_channel_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actor_slack_user_id_idx" ON "AuditLog"("actor_slack_user_id");
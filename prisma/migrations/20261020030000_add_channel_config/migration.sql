@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ChannelSettings" ADD COLUMN "leaderboard_period" TEXT NOT NULL DEFAULT 'day',
+ADD COLUMN "leaderboard_limit" INTEGER DEFAULT 10,
+ADD COLUMN "event_name" TEXT,
+ADD COLUMN "kudos" TEXT,
+ADD COLUMN "notification_template" TEXT,
+ADD COLUMN "streak_template" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UserSettings" ADD COLUMN "public_badge" BOOLEAN NOT NULL DEFAULT false;
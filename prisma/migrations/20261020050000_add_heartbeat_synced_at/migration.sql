@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "SyncedHeartbeat" ADD COLUMN "synced_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "SyncedHeartbeat_user_id_synced_at_idx" ON "SyncedHeartbeat"("user_id", "synced_at");
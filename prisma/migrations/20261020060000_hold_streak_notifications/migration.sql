@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PendingNotification" ALTER COLUMN "project_name" DROP NOT NULL,
+ALTER COLUMN "seconds" SET DEFAULT 0,
+ALTER COLUMN "total_seconds" SET DEFAULT 0,
+ADD COLUMN "streak_days" INTEGER;
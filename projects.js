@@ -0,0 +1,77 @@
+import { prisma } from './db.js';
+import { mergeSummaries } from './durations.js';
+
+// What private projects are called in notifications and leaderboards
+export const SECRET_PROJECT_NAME = 'a secret project';
+
+// Mute and privacy settings for each user, keyed by lowercased project name
+export async function getProjectSettings(userIds) {
+  const settings = await prisma.projectSettings.findMany({
+    where: {
+      user_id: { in: userIds }
+    }
+  });
+
+  const byUser = new Map();
+  for (const setting of settings) {
+    if (!byUser.has(setting.user_id)) {
+      byUser.set(setting.user_id, new Map());
+    }
+    byUser.get(setting.user_id).set(setting.project_name.toLowerCase(), setting);
+  }
+  return byUser;
+}
+
+export async function updateProjectSettings(userId, projectName, data) {
+  const existing = await prisma.projectSettings.findFirst({
+    where: {
+      user_id: userId,
+      project_name: { equals: projectName, mode: 'insensitive' }
+    }
+  });
+
+  if (existing) {
+    return prisma.projectSettings.update({
+      where: { id: existing.id },
+      data
+    });
+  }
+
+  // Use the project's spelling from the heartbeats, like project links do
+  const heartbeat = await prisma.syncedHeartbeat.findFirst({
+    where: {
+      user_id: userId,
+      project: { equals: projectName, mode: 'insensitive' }
+    },
+    select: { project: true }
+  });
+
+  return prisma.projectSettings.create({
+    data: {
+      user_id: userId,
+      project_name: heartbeat?.project || projectName,
+      ...data
+    }
+  });
+}
+
+// Fold a user's private projects into one secret project, so their time still counts
+// without giving away what they're working on. `settings` comes from getProjectSettings.
+export function hidePrivateProjects(summary, settings) {
+  const isPrivate = project => Boolean(settings?.get(project.key.toLowerCase())?.private);
+  const secret = summary.projects.filter(isPrivate);
+  if (secret.length === 0) {
+    return summary;
+  }
+
+  const merged = secret.reduce(
+    (total, project) => mergeSummaries(total, { total: project.total, projects: [], languages: project.languages }),
+    undefined
+  );
+  const projects = summary.projects
+    .filter(project => !isPrivate(project))
+    .concat({ key: SECRET_PROJECT_NAME, total: merged.total, languages: merged.languages, secret: true })
+    .sort((a, b) => b.total - a.total);
+
+  return { ...summary, projects };
+}
@@ -0,0 +1,194 @@
+import { computeLeaderboard, buildRows, getTitle, describeLeaderboardWindow } from './leaderboard.js';
+import { getChannelSettings } from './settings.js';
+import { parsePeriod } from './periods.js';
+import { getUserStats, formatTime } from './stats.js';
+import { getUserSettings } from './quietHours.js';
+
+// Public pages anyone can load without signing in: README badges for people who turned them on
+// with `/sailorslog badge on`, and leaderboards for channels that opted in with
+// `/sailorslog leaderboard public on`. Responses are cached here and by
+// whoever loads them, so a popular README doesn't mean a database query per view.
+
+const CACHE_SECONDS = parseInt(process.env.PUBLIC_CACHE_SECONDS) || 300; // 5 minutes
+const MAX_CACHE_ENTRIES = 1000;
+const PUBLIC_LEADERBOARD_LIMIT = 50;
+const BADGE_COLOR = '#1f80c0';
+
+const cache = new Map();
+
+async function cached(key, render) {
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) {
+    return hit.value;
+  }
+
+  const value = await render();
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    for (const [oldKey, entry] of cache) {
+      if (entry.expires <= Date.now()) {
+        cache.delete(oldKey);
+      }
+    }
+    // Still full of fresh entries, drop the oldest
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  cache.set(key, { value, expires: Date.now() + CACHE_SECONDS * 1000 });
+  return value;
+}
+
+function toResponse({ body, status, contentType }) {
+  return new Response(body, {
+    status,
+    headers: {
+      'Content-Type': contentType,
+      'Cache-Control': `public, max-age=${CACHE_SECONDS}`
+    }
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A flat shields.io-style badge. Widths are estimated from the text, which is close enough for Verdana.
+function renderBadge(label, value, color = BADGE_COLOR) {
+  const labelWidth = label.length * 7 + 10;
+  const valueWidth = value.length * 7 + 10;
+  const width = labelWidth + valueWidth;
+  const title = escapeHtml(`${label}: ${value}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${escapeHtml(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14">${escapeHtml(value)}</text>
+  </g>
+</svg>`;
+}
+
+// GET /badge/:user.svg shows a Slack user's all-time coding time, ?period=week this week's
+async function renderUserBadge(slackUserId, periodParam) {
+  const parsed = parsePeriod(periodParam || 'all');
+  if (parsed.error) {
+    return { body: renderBadge('sailor\'s log', 'invalid period', '#e05d44'), status: 400, contentType: 'image/svg+xml' };
+  }
+
+  // Only people who've turned on their badge with `/sailorslog badge on`
+  const settings = await getUserSettings(slackUserId);
+  if (!settings?.public_badge) {
+    return { body: renderBadge('sailor\'s log', 'not found', '#9f9f9f'), status: 404, contentType: 'image/svg+xml' };
+  }
+
+  const { window, summary } = await getUserStats(slackUserId, parsed.period, { showPrivate: false });
+  const label = parsed.period === 'all' ? 'coding time' : window.label.toLowerCase();
+  return { body: renderBadge(label, formatTime(summary?.total || 0)), status: 200, contentType: 'image/svg+xml' };
+}
+
+function renderPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #1d1c1d; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .window { color: #616061; margin-top: 0; }
+    ol { padding: 0; list-style: none; }
+    li { padding: 0.75rem 0; border-bottom: 1px solid #ddd; }
+    .name { font-weight: 600; }
+    .projects, .languages { color: #616061; font-size: 0.9rem; margin-top: 0.25rem; }
+    nav a { margin-right: 0.75rem; }
+  </style>
+</head>
+<body>
+${content}
+</body>
+</html>`;
+}
+
+// GET /leaderboard/:channel, only for channels with a public leaderboard
+async function renderPublicLeaderboard(channelId, periodParam) {
+  const settings = await getChannelSettings(channelId);
+  if (!settings?.public_leaderboard) {
+    return { body: renderPage('Not found', '<h1>Not found</h1><p>This leaderboard isn\'t public.</p>'), status: 404, contentType: 'text/html; charset=utf-8' };
+  }
+
+  const parsed = parsePeriod(periodParam || 'week');
+  if (parsed.error) {
+    return { body: renderPage('Invalid period', `<h1>Invalid period</h1><p>${escapeHtml(parsed.error.replace(/`/g, ''))}</p>`), status: 400, contentType: 'text/html; charset=utf-8' };
+  }
+
+  const result = await computeLeaderboard(channelId, parsed.period, PUBLIC_LEADERBOARD_LIMIT);
+  const title = `⛵ Sailor's Log - ${getTitle(result)}`;
+  const rows = await buildRows(result.entries);
+
+  const items = rows.map(row => {
+    const projects = row.projects
+      .map(project => {
+        const name = project.url
+          ? `<a href="${escapeHtml(project.url)}" rel="nofollow noopener">${escapeHtml(project.name)}</a>`
+          : escapeHtml(project.name);
+        return `${name}${project.mainLang ? ` [${escapeHtml(project.mainLang)}]` : ''}: ${project.minutes}m`;
+      })
+      .join(' + ');
+    return `<li>
+  <div>${row.medal} <span class="name">${row.rank}. ${escapeHtml(row.displayName)}</span>: ${row.timeStr}</div>
+  ${projects ? `<div class="projects">📁 ${projects}</div>` : ''}
+  ${row.languages.length > 0 ? `<div class="languages">💻 ${escapeHtml(row.languages.join(', '))}</div>` : ''}
+</li>`;
+  });
+
+  const periods = [['day', 'Today'], ['week', 'This Week'], ['month', 'This Month'], ['all', 'All Time']]
+    .map(([period, label]) => `<a href="?period=${period}">${label}</a>`)
+    .join('');
+
+  const content = `<h1>${escapeHtml(title)}</h1>
+<p class="window">${escapeHtml(describeLeaderboardWindow(result))}</p>
+<nav>${periods}</nav>
+${items.length > 0
+    ? `<ol>\n${items.join('\n')}\n</ol>`
+    : `<p>No coding activity found for ${escapeHtml(result.window.label.toLowerCase())}.</p>`}`;
+
+  return { body: renderPage(title, content), status: 200, contentType: 'text/html; charset=utf-8' };
+}
+
+// Returns a response for GET /badge/... and /leaderboard/... requests
+export async function handlePublicRequest(req) {
+  const { pathname, searchParams } = new URL(req.url);
+  const period = searchParams.get('period')?.toLowerCase();
+
+  try {
+    const badgeMatch = pathname.match(/^\/badge\/([A-Z0-9]+)\.svg$/i);
+    if (badgeMatch) {
+      const slackUserId = badgeMatch[1].toUpperCase();
+      return toResponse(await cached(`badge:${slackUserId}:${period}`, () => renderUserBadge(slackUserId, period)));
+    }
+
+    const leaderboardMatch = pathname.match(/^\/leaderboard\/([A-Z0-9]+)$/i);
+    if (leaderboardMatch) {
+      const channelId = leaderboardMatch[1].toUpperCase();
+      return toResponse(await cached(`leaderboard:${channelId}:${period}`, () => renderPublicLeaderboard(channelId, period)));
+    }
+
+    return new Response('Not Found', { status: 404 });
+  } catch (error) {
+    console.error('Error handling public request:', error);
+    return new Response('Internal Server Error', { status: 500 });
+  }
+}
@@ -0,0 +1,213 @@
+import { prisma } from './db.js';
+import { slack, getUserInfo, sendSlackNotification } from './slackClient.js';
+import { getZonedParts, normalizeTimeZone } from './periods.js';
+import { formatDuration } from './settings.js';
+import { getProjectSettings, SECRET_PROJECT_NAME } from './projects.js';
+import { getProjectLinks, formatProjectName } from './links.js';
+import { getSlackUserId } from './identity.js';
+
+export const QUIET_MODES = ['hold', 'silent'];
+
+let isDelivering = false;
+
+export async function getUserSettings(userId) {
+  return prisma.userSettings.findUnique({
+    where: { user_id: userId }
+  });
+}
+
+export async function updateUserSettings(userId, data) {
+  return prisma.userSettings.upsert({
+    where: { user_id: userId },
+    create: { user_id: userId, ...data },
+    update: data
+  });
+}
+
+// Parse "22-8" or "22:00-08:00" into start and end hours
+export function parseQuietHours(text) {
+  const match = text.match(/^(\d{1,2})(?::00)?-(\d{1,2})(?::00)?$/);
+  if (!match) {
+    return null;
+  }
+  const [start, end] = match.slice(1).map(part => parseInt(part, 10));
+  if (start > 23 || end > 23 || start === end) {
+    return null;
+  }
+  return { start, end };
+}
+
+// Quiet hours can wrap past midnight, e.g. 22 to 8
+function isBetweenHours(hour, start, end) {
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+async function isDndActive(userId, now) {
+  try {
+    const result = await slack.dnd.info({ user: userId });
+    const seconds = now.getTime() / 1000;
+    return Boolean(result.snooze_enabled) ||
+      (result.dnd_enabled && seconds >= result.next_dnd_start_ts && seconds < result.next_dnd_end_ts);
+  } catch (error) {
+    console.error(`Error fetching DND status for ${userId}:`, error);
+    return false;
+  }
+}
+
+async function isQuiet(userId, settings, now) {
+  if (settings.quiet_start !== null && settings.quiet_end !== null) {
+    // Quiet hours are in the user's own Slack time zone
+    const { timezone } = await getUserInfo(userId);
+    const { hour } = getZonedParts(now, (timezone && normalizeTimeZone(timezone)) || 'UTC');
+    if (isBetweenHours(hour, settings.quiet_start, settings.quiet_end)) {
+      return true;
+    }
+  }
+  return settings.respect_dnd && await isDndActive(userId, now);
+}
+
+// How to notify about a user right now: null when they're not in quiet time, otherwise
+// "hold" (save it for later) or "silent" (post without the mention)
+export async function getQuietMode(userId, now = new Date()) {
+  const settings = await getUserSettings(userId);
+  if (!settings || !await isQuiet(userId, settings, now)) {
+    return null;
+  }
+  return settings.quiet_mode;
+}
+
+// `notification` is coding time, `{ project_name, seconds, total_seconds }`, or a streak, `{ streak_days }`
+export async function holdNotification(userId, channelId, notification) {
+  await prisma.pendingNotification.create({
+    data: {
+      user_id: userId,
+      slack_channel_id: channelId,
+      ...notification
+    }
+  });
+  console.log(`Held notification for user ${userId} in channel ${channelId} until quiet hours end`);
+}
+
+// One message with everything a user coded on each project while notifications were held,
+// plus the streak they reached
+async function formatHeldSummary(userId, slackUserId, notifications) {
+  const projectSettings = (await getProjectSettings([userId])).get(userId);
+  const links = (await getProjectLinks([userId])).get(userId);
+
+  const projects = new Map();
+  for (const notification of notifications.filter(notification => notification.project_name)) {
+    // Check privacy now, it may have changed since the notification was held
+    const key = projectSettings?.get(notification.project_name.toLowerCase())?.private
+      ? SECRET_PROJECT_NAME
+      : notification.project_name;
+    const project = projects.get(key) || { seconds: 0, total: 0 };
+    project.seconds += notification.seconds;
+    project.total = Math.max(project.total, notification.total_seconds);
+    projects.set(key, project);
+  }
+
+  const lines = Array.from(projects.entries())
+    .sort((a, b) => b[1].seconds - a[1].seconds)
+    .map(([project, { seconds, total }]) => {
+      const name = project === SECRET_PROJECT_NAME
+        ? project
+        : formatProjectName(project, links?.get(project.toLowerCase()));
+      return `• ${formatDuration(seconds)} on *${name}* (total: ${Math.floor(total / 3600)}h)`;
+    });
+
+  // Only the longest streak matters, it's the one they're on now
+  const streak = Math.max(0, ...notifications.map(notification => notification.streak_days || 0));
+  if (streak > 0) {
+    lines.push(`• 🔥 Every day for *${streak} days* in a row`);
+  }
+
+  const text = `🌙 While <@${slackUserId}> was away from Slack, they coded:\n${lines.join('\n')}`;
+  return {
+    text,
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+  };
+}
+
+// Post held notifications for everyone whose quiet time is over, one summary per channel
+export async function deliverHeldNotifications(now = new Date()) {
+  if (isDelivering) {
+    return;
+  }
+
+  isDelivering = true;
+  try {
+    const held = await prisma.pendingNotification.findMany({
+      orderBy: { created_at: 'asc' }
+    });
+
+    const byUser = new Map();
+    for (const notification of held) {
+      if (!byUser.has(notification.user_id)) {
+        byUser.set(notification.user_id, []);
+      }
+      byUser.get(notification.user_id).push(notification);
+    }
+
+    for (const [userId, notifications] of byUser) {
+      try {
+        const slackUserId = await getSlackUserId(userId);
+
+        // Nobody on Slack owns the account anymore, so there's nobody to tell
+        if (!slackUserId) {
+          await prisma.pendingNotification.deleteMany({
+            where: {
+              id: { in: notifications.map(notification => notification.id) }
+            }
+          });
+          continue;
+        }
+
+        if (await getQuietMode(slackUserId, now)) {
+          continue;
+        }
+
+        const byChannel = new Map();
+        for (const notification of notifications) {
+          if (!byChannel.has(notification.slack_channel_id)) {
+            byChannel.set(notification.slack_channel_id, []);
+          }
+          byChannel.get(notification.slack_channel_id).push(notification);
+        }
+
+        for (const [channelId, channelNotifications] of byChannel) {
+          // Skip channels they've turned notifications off in since
+          const pref = await prisma.slackNotificationPreference.findUnique({
+            where: {
+              slack_user_id_slack_channel_id: {
+                slack_user_id: slackUserId,
+                slack_channel_id: channelId
+              }
+            }
+          });
+
+          if (pref?.enabled) {
+            const { text, blocks } = await formatHeldSummary(userId, slackUserId, channelNotifications);
+            if (!await sendSlackNotification(channelId, text, blocks)) {
+              continue; // Keep them and try again next time
+            }
+            console.log(`Delivered ${channelNotifications.length} held notifications for user ${userId} to channel ${channelId}`);
+          }
+
+          await prisma.pendingNotification.deleteMany({
+            where: {
+              id: { in: channelNotifications.map(notification => notification.id) }
+            }
+          });
+        }
+      } catch (error) {
+        console.error(`Failed to deliver held notifications for user ${userId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error delivering held notifications:', error);
+  } finally {
+    isDelivering = false;
+  }
+}
@@ -0,0 +1,169 @@
+import { prisma } from './db.js';
+import { computeDurations, computeDailyDurations, mergeSummaries } from './durations.js';
+
+export const RETENTION_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HALF_DAY_MS = DAY_MS / 2;
+
+// Heartbeats are kept for every UTC day that overlaps the retention window, so any day from
+// here on can still be recomputed from scratch. Earlier days are final.
+export function getRollupStart(now = new Date()) {
+  const start = new Date(now.getTime() - RETENTION_HOURS * 60 * 60 * 1000);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+// Recompute the daily totals for these users from their stored heartbeats
+export async function rollupCodingTime(userIds) {
+  const since = getRollupStart();
+  const heartbeats = await prisma.syncedHeartbeat.findMany({
+    where: {
+      time: { gte: since },
+      flagged: false,
+      ...(userIds && { user_id: { in: userIds } })
+    },
+    select: {
+      user_id: true,
+      time: true,
+      project: true,
+      language: true,
+      editor: true,
+      operating_system: true,
+      branch: true,
+      line_additions: true,
+      line_deletions: true
+    },
+    orderBy: { time: 'asc' }
+  });
+
+  const userHeartbeats = heartbeats.reduce((acc, hb) => {
+    (acc[hb.user_id] = acc[hb.user_id] || []).push(hb);
+    return acc;
+  }, {});
+
+  let count = 0;
+  for (const userId of userIds || Object.keys(userHeartbeats)) {
+    const days = computeDailyDurations(userHeartbeats[userId] || []);
+
+    // Days where every heartbeat has since been flagged have nothing left to count
+    await prisma.userCodingTime.deleteMany({
+      where: {
+        user_id: userId,
+        date: {
+          gte: since,
+          notIn: Array.from(days.keys()).map(date => new Date(date))
+        }
+      }
+    });
+
+    for (const [date, day] of days) {
+      const data = {
+        total_seconds: day.total,
+        projects: JSON.stringify(day.projects),
+        languages: JSON.stringify(day.languages),
+        editors: JSON.stringify(day.editors),
+        operating_systems: JSON.stringify(day.operating_systems),
+        lines_added: day.lines_added,
+        lines_removed: day.lines_removed
+      };
+
+      await prisma.userCodingTime.upsert({
+        where: {
+          user_id_date: {
+            user_id: userId,
+            date: new Date(date)
+          }
+        },
+        create: {
+          user_id: userId,
+          date: new Date(date),
+          ...data
+        },
+        update: data
+      });
+      count++;
+    }
+  }
+
+  return count;
+}
+
+// Add up the daily totals for each user between two dates (inclusive, YYYY-MM-DD or Date)
+export async function getCodingTime(userIds, startDate, endDate) {
+  const rows = await prisma.userCodingTime.findMany({
+    where: {
+      user_id: { in: userIds },
+      date: {
+        gte: new Date(startDate),
+        lte: new Date(endDate)
+      }
+    }
+  });
+
+  const totals = new Map();
+  for (const row of rows) {
+    totals.set(row.user_id, mergeSummaries(totals.get(row.user_id), {
+      total: row.total_seconds,
+      projects: JSON.parse(row.projects),
+      languages: JSON.parse(row.languages),
+      editors: JSON.parse(row.editors),
+      operating_systems: JSON.parse(row.operating_systems),
+      lines_added: row.lines_added,
+      lines_removed: row.lines_removed
+    }));
+  }
+  return totals;
+}
+
+// Coding time per user between two instants. Recent time is worked out exactly from the raw
+// heartbeats we still have. Older time comes from the daily rollups, which are UTC days, so a
+// day counts when its midday falls inside the window.
+export async function getCodingTimeBetween(userIds, start, end) {
+  const rollupStart = getRollupStart();
+  let totals = new Map();
+
+  const rollupEnd = new Date(Math.min(end.getTime(), rollupStart.getTime()));
+  if (start < rollupEnd) {
+    const firstDay = new Date(Math.ceil((start.getTime() - HALF_DAY_MS) / DAY_MS) * DAY_MS);
+    const lastDay = new Date(Math.ceil((rollupEnd.getTime() - HALF_DAY_MS) / DAY_MS) * DAY_MS - DAY_MS);
+    if (firstDay <= lastDay) {
+      totals = await getCodingTime(userIds, firstDay.toISOString().slice(0, 10), lastDay.toISOString().slice(0, 10));
+    }
+  }
+
+  const rawStart = new Date(Math.max(start.getTime(), rollupStart.getTime()));
+  if (rawStart < end) {
+    const heartbeats = await prisma.syncedHeartbeat.findMany({
+      where: {
+        user_id: { in: userIds },
+        time: {
+          gte: rawStart,
+          lt: end
+        },
+        flagged: false
+      },
+      select: {
+        user_id: true,
+        time: true,
+        project: true,
+        language: true,
+        editor: true,
+        operating_system: true,
+        branch: true,
+        line_additions: true,
+        line_deletions: true
+      }
+    });
+
+    const userHeartbeats = heartbeats.reduce((acc, hb) => {
+      (acc[hb.user_id] = acc[hb.user_id] || []).push(hb);
+      return acc;
+    }, {});
+
+    for (const [userId, beats] of Object.entries(userHeartbeats)) {
+      totals.set(userId, mergeSummaries(totals.get(userId), computeDurations(beats)));
+    }
+  }
+
+  return totals;
+}
@@ -0,0 +1,120 @@
+import { prisma } from './db.js';
+import { computeLeaderboard, formatLeaderboard } from './leaderboard.js';
+import { enqueueMessages } from './outbox.js';
+import { getZonedParts, getZonedDate } from './periods.js';
+
+export const SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+const SCHEDULED_LEADERBOARD_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local dates are YYYY-MM-DD, so UTC date math works on them
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// `period` gets the channel's local date on the day of the post
+const SCHEDULES = {
+  daily: {
+    period: () => 'day',
+    isDue: (settings) => settings.leaderboard_daily
+  },
+  // The seven days up to the post, whichever day it's on. With the default Sunday post and
+  // Monday week start that's the week that's just ending.
+  weekly: {
+    period: today => `${addDays(today, -6)}..${today}`,
+    isDue: (settings, local) => settings.leaderboard_weekly && local.weekday === settings.leaderboard_weekday
+  }
+};
+
+let isRunning = false;
+
+async function postScheduledLeaderboard(settings, schedule, now) {
+  const channelId = settings.slack_channel_id;
+  const today = getZonedDate(now, settings.timezone);
+
+  // The marker survives restarts, so each schedule posts at most once per day
+  const lastPost = await prisma.leaderboardPost.findUnique({
+    where: {
+      slack_channel_id_schedule: {
+        slack_channel_id: channelId,
+        schedule
+      }
+    }
+  });
+
+  if (lastPost?.last_period === today) {
+    return;
+  }
+
+  const leaderboard = await computeLeaderboard(channelId, SCHEDULES[schedule].period(today), SCHEDULED_LEADERBOARD_LIMIT);
+
+  // Skip quiet days instead of posting an empty leaderboard. The parts are saved to the outbox
+  // together with the marker, so a failure can't leave some of them to be posted twice.
+  const parts = leaderboard.entries.length > 0 ? await formatLeaderboard(leaderboard) : [];
+  await enqueueMessages(channelId, parts, [
+    prisma.leaderboardPost.upsert({
+      where: {
+        slack_channel_id_schedule: {
+          slack_channel_id: channelId,
+          schedule
+        }
+      },
+      create: {
+        slack_channel_id: channelId,
+        schedule,
+        last_period: today,
+        last_posted_at: now
+      },
+      update: {
+        last_period: today,
+        last_posted_at: now
+      }
+    })
+  ]);
+
+  if (parts.length > 0) {
+    console.log(`Posted ${schedule} leaderboard to channel ${channelId}`);
+  }
+}
+
+export async function runScheduledLeaderboards(now = new Date()) {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const channels = await prisma.channelSettings.findMany({
+      where: {
+        OR: [
+          { leaderboard_daily: true },
+          { leaderboard_weekly: true }
+        ]
+      }
+    });
+
+    for (const settings of channels) {
+      // Hours and days are in the channel's time zone
+      const local = getZonedParts(now, settings.timezone);
+      if (local.hour < settings.leaderboard_hour) {
+        continue;
+      }
+
+      for (const [schedule, { isDue }] of Object.entries(SCHEDULES)) {
+        if (!isDue(settings, local)) {
+          continue;
+        }
+
+        try {
+          await postScheduledLeaderboard(settings, schedule, now);
+        } catch (error) {
+          console.error(`Failed to post ${schedule} leaderboard to channel ${settings.slack_channel_id}:`, error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error running scheduled leaderboards:', error);
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,51 @@
+import { test, expect, mock, beforeEach } from 'bun:test';
+import { getPeriodWindow } from './periods.js';
+
+const computeLeaderboard = mock(async () => ({ entries: [] }));
+let channels = [];
+
+mock.module('./db.js', () => ({
+  prisma: {
+    channelSettings: { findMany: async () => channels },
+    leaderboardPost: { findUnique: async () => null, upsert: () => null }
+  }
+}));
+mock.module('./leaderboard.js', () => ({ computeLeaderboard, formatLeaderboard: async () => [] }));
+mock.module('./outbox.js', () => ({ enqueueMessages: async () => {} }));
+
+const { runScheduledLeaderboards } = await import('./scheduler.js');
+
+// What a channel gets from `/sailorslog leaderboard on weekly` with nothing else changed
+const DEFAULT_SETTINGS = {
+  slack_channel_id: 'C123',
+  leaderboard_daily: false,
+  leaderboard_weekly: true,
+  leaderboard_hour: 17,
+  leaderboard_weekday: 0,
+  timezone: 'UTC',
+  week_start: 1
+};
+
+beforeEach(() => {
+  computeLeaderboard.mockClear();
+  channels = [DEFAULT_SETTINGS];
+});
+
+test('the default Sunday post covers the week that is ending', async () => {
+  const now = new Date('2026-10-18T17:00:00Z'); // A Sunday
+  await runScheduledLeaderboards(now);
+
+  expect(computeLeaderboard).toHaveBeenCalledTimes(1);
+  const [channelId, period] = computeLeaderboard.mock.calls[0];
+  expect(channelId).toBe('C123');
+
+  const window = getPeriodWindow(period, { timeZone: 'UTC', weekStart: 1, now });
+  expect(window.start.toISOString()).toBe('2026-10-12T00:00:00.000Z'); // That Monday
+  expect(window.end).toEqual(now);
+});
+
+test('weekly posts wait for their day and hour', async () => {
+  await runScheduledLeaderboards(new Date('2026-10-18T16:59:00Z'));
+  await runScheduledLeaderboards(new Date('2026-10-19T17:00:00Z'));
+  expect(computeLeaderboard).not.toHaveBeenCalled();
+});
@@ -0,0 +1,54 @@
+import { prisma } from './db.js';
+
+// Used when neither the user nor the channel has picked a threshold
+export const DEFAULT_THRESHOLD_SECONDS = parseInt(process.env.NOTIFICATION_PERIOD_SECONDS) || 3600; // Default 1 hour
+export const MIN_THRESHOLD_SECONDS = 5 * 60; // 5 minutes
+export const MAX_THRESHOLD_SECONDS = 24 * 60 * 60; // 24 hours
+
+export async function getChannelSettings(channelId) {
+  return prisma.channelSettings.findUnique({
+    where: { slack_channel_id: channelId }
+  });
+}
+
+export async function updateChannelSettings(channelId, data) {
+  return prisma.channelSettings.upsert({
+    where: { slack_channel_id: channelId },
+    create: { slack_channel_id: channelId, ...data },
+    update: data
+  });
+}
+
+// User override first, then the channel default, then the global default
+export function resolveThreshold(preference, channelSettings) {
+  return preference?.threshold_seconds ||
+    channelSettings?.threshold_seconds ||
+    DEFAULT_THRESHOLD_SECONDS;
+}
+
+// Parse durations like "30m", "1h", "1h30m", "1.5h" or a bare number of minutes
+export function parseDuration(text) {
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 60);
+  }
+
+  const match = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m)?$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  const hours = parseFloat(match[1] || '0');
+  const minutes = parseInt(match[2] || '0', 10);
+  return Math.round(hours * 3600 + minutes * 60);
+}
+
+export function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60 * 100) / 100;
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
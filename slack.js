@@ -1,216 +1,83 @@
-import { prisma, getUserApiKey } from './db.js';
-
-// Add Slack Web API client
-import { WebClient } from '@slack/web-api';
-const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
-
-// Cache expiry time in milliseconds (24 hours)
-const CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000;
-
-async function getUserInfo(userId) {
-  try {
-    const cutoff = new Date(Date.now() - CACHE_EXPIRY_MS);
-    
-    // Check cache in database (only get entries newer than cutoff)
-    const cachedInfo = await prisma.slackUserCache.findFirst({
-      where: { 
-        slack_user_id: userId,
-        created_at: {
-          gte: cutoff
-        }
-      }
-    });
-
-    if (cachedInfo) {
-      return { displayName: cachedInfo.display_name };
-    }
-
-    // Fetch from Slack API
-    const result = await slack.users.info({ user: userId });
-    const displayName = result.user.profile.display_name || result.user.real_name || result.user.name;
-
-    // Delete old cache entries for this user
-    await prisma.slackUserCache.deleteMany({
-      where: {
-        slack_user_id: userId
-      }
-    });
-
-    // Store in cache
-    await prisma.slackUserCache.create({
-      data: {
-        slack_user_id: userId,
-        display_name: displayName
-      }
-    });
-
-    return { displayName };
-  } catch (error) {
-    console.error(`Error fetching user info for ${userId}:`, error);
-    return { displayName: userId };
-  }
-}
+import { prisma } from './db.js';
+import {
+  getChannelSettings,
+  updateChannelSettings,
+  resolveThreshold,
+  parseDuration,
+  formatDuration,
+  MIN_THRESHOLD_SECONDS,
+  MAX_THRESHOLD_SECONDS
+} from './settings.js';
+import { getLeaderboard } from './leaderboard.js';
+import { normalizeTimeZone, parsePeriod, parseWeekday, WEEKDAYS } from './periods.js';
+import { normalizeUrl, linkProject, unlinkProject, suggestRepoUrl, formatProjectName } from './links.js';
+import { computeStreak, STREAK_MIN_SECONDS } from './streaks.js';
+import { handleInteraction } from './interactions.js';
+import { handleEvent } from './events.js';
+import { formatUserStats } from './stats.js';
+import { updateProjectSettings } from './projects.js';
+import { getHackatimeUserId, getSlackUserId, linkAccount, unlinkAccount, hasApiKey, createApiKey } from './identity.js';
+import { handleHeartbeatRequest } from './ingest.js';
+import { handleApiRequest } from './api.js';
+import { handlePublicRequest } from './public.js';
+import { handleHealthRequest } from './health.js';
+import { slashCommandsTotal } from './metrics.js';
+import { getFlags, reviewFlag } from './suspicious.js';
+import { isAdmin, isChannelAdmin, isBanned, logAdminAction, handleAdminCommand } from './admin.js';
+import { handleConfigCommand, getEventName, getLeaderboardDefaults } from './channelConfig.js';
+import { getUserSettings, updateUserSettings, parseQuietHours, QUIET_MODES } from './quietHours.js';
 
 const port = process.env.PORT || 3000;
 
-async function getLeaderboard(channel_id, period = 'day', limit = 10) {
-  const now = new Date();
-  const startDate = new Date();
-  
-  if (period === 'week') {
-    startDate.setDate(startDate.getDate() - 7);
-  } else {
-    startDate.setHours(0, 0, 0, 0); // Start of today
-  }
-
-  // Get all users subscribed to this channel
-  const subscribers = await prisma.slackNotificationPreference.findMany({
-    where: {
-      slack_channel_id: channel_id,
-      enabled: true
-    },
-    select: {
-      slack_user_id: true
-    }
-  });
-
-  // Get latest summaries for all users
-  const userStats = [];
-  
-  for (const subscriber of subscribers) {
-    try {
-      // Get all summaries for this user in the period
-      const summaries = await prisma.userSummary.findMany({
-        where: {
-          user_id: subscriber.slack_user_id,
-          created_at: {
-            gte: startDate,
-            lte: now
-          }
-        },
-        orderBy: {
-          created_at: 'asc'
-        }
-      });
-
-      if (summaries.length < 2) {
-        console.log(`Not enough summaries found for user ${subscriber.slack_user_id}`);
-        continue;
-      }
-
-      // Find min and max total seconds
-      let minSeconds = Infinity;
-      let maxSeconds = 0;
-      let minSummary;
-      let maxSummary;
-
-      summaries.forEach(summary => {
-        const data = JSON.parse(summary.summary_data);
-        const totalSeconds = data.projects?.reduce((total, project) => total + (project.total || 0), 0) || 0;
-        if (totalSeconds < minSeconds) {
-          minSeconds = totalSeconds;
-          minSummary = data;
-        }
-        if (totalSeconds > maxSeconds) {
-          maxSeconds = totalSeconds;
-          maxSummary = data;
-        }
-      });
-
-      const totalSeconds = maxSeconds - minSeconds;
-
-      // Calculate project and language differences
-      const projectStats = new Map();
-      if (maxSummary?.projects && minSummary?.projects) {
-        const minProjects = new Map(minSummary.projects.map(p => [p.key, p.total || 0]));
-        const minLanguages = new Map(minSummary.languages?.map(l => [l.key, l.total || 0]) || []);
-        
-        // Group languages by project based on max summary
-        const projectLanguages = new Map();
-        maxSummary.languages?.forEach(lang => {
-          const diff = (lang.total || 0) - (minLanguages.get(lang.key) || 0);
-          if (diff > 0) {
-            maxSummary.projects.forEach(proj => {
-              if (!projectLanguages.has(proj.key)) {
-                projectLanguages.set(proj.key, new Set());
-              }
-              projectLanguages.get(proj.key).add(lang.key);
-            });
-          }
-        });
-
-        // Calculate project times and associate languages
-        maxSummary.projects.forEach(p => {
-          const diff = (p.total || 0) - (minProjects.get(p.key) || 0);
-          if (diff > 0) {
-            projectStats.set(p.key, {
-              seconds: diff,
-              languages: Array.from(projectLanguages.get(p.key) || []).sort()
-            });
-          }
-        });
-      }
-
-      // Only add users who have coded during this period
-      if (totalSeconds > 0) {
-        userStats.push({
-          user_id: subscriber.slack_user_id,
-          total_minutes: Math.floor(totalSeconds / 60),
-          total_seconds: totalSeconds,
-          projects: projectStats
-        });
-      }
-    } catch (error) {
-      console.error(`Error processing summaries for user ${subscriber.slack_user_id}:`, error);
-    }
-  }
-
-  // Sort and get top N users
-  const leaderboard = userStats
-    .sort((a, b) => b.total_minutes - a.total_minutes)
-    .slice(0, limit === 'all' ? undefined : limit);
-
-  if (leaderboard.length === 0) {
-    return `No coding activity found for ${period === 'week' ? 'this week' : 'today'}.`;
-  }
-
-  // Format the leaderboard message
-  const timeframe = period === 'week' ? 'This Week' : 'Today';
-  let message = `⛵ *Sailor's Log - ${timeframe}*\n\n`;
-  
-  // Fetch all user info in parallel
-  const userInfoPromises = leaderboard.map(entry => getUserInfo(entry.user_id));
-  const userInfos = await Promise.all(userInfoPromises);
-  
-  for (let i = 0; i < leaderboard.length; i++) {
-    const entry = leaderboard[i];
-    const userInfo = userInfos[i];
-    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '▫️';
-    const hours = Math.floor(entry.total_minutes / 60);
-    const minutes = entry.total_minutes % 60;
-    const timeStr = hours > 0 ? 
-      `${hours}h ${minutes}m` : 
-      `${minutes}m`;
-
-    // Format project breakdown with languages
-    const projectBreakdown = Array.from(entry.projects.entries())
-      .sort((a, b) => b[1].seconds - a[1].seconds)
-      .filter(([_, stats]) => Math.floor(stats.seconds / 60) > 0)
-      .map(([project, stats]) => {
-        const minutes = Math.floor(stats.seconds / 60);
-        const mainLang = stats.languages
-          .filter(lang => !['unknown', 'AUTO_DETECTED', 'PLAIN_TEXT', 'Text'].includes(lang))
-          .sort()[0] || '';
-        
-        return `${project} [${mainLang}]: ${minutes}m`;
-      })
-      .join(' + ');
-    
-    message += `${medal} \`@${userInfo.displayName}\`: ${timeStr} → ${projectBreakdown}\n`;
-  }
-
-  return message;
-}
+// Actions counted by name in metrics, anything else counts as "unknown"
+const COMMAND_ACTIONS = [
+  'on', 'off', 'status', 'threshold', 'streak', 'stats', 'quiet', 'link', 'unlink', 'link-account',
+  'unlink-account', 'api-key', 'mute', 'unmute', 'private', 'public', 'leaderboard',
+  'flags', 'admin', 'config', 'badge'
+];
+
+// WakaTime's heartbeat endpoints, and whether they take an array of heartbeats
+const HEARTBEAT_PATHS = {
+  '/api/v1/users/current/heartbeats': false,
+  '/api/v1/users/current/heartbeats.bulk': true
+};
+
+const USAGE_TEXT = 'Welcome to Sailor\'s Log! Usage:\n' +
+  '• `/sailorslog on` - Enable notifications\n' +
+  '• `/sailorslog off` - Disable notifications\n' +
+  '• `/sailorslog status` - Check notification status\n' +
+  '• `/sailorslog threshold [30m|1h|reset]` - How much coding triggers a notification for you in this channel\n' +
+  '• `/sailorslog threshold channel [30m|1h|reset]` - Set the default for everyone in this channel (channel admins)\n' +
+  '• `/sailorslog link-account <api key>` - Link your Hackatime account if your coding time doesn\'t show up (`unlink-account` to undo)\n' +
+  '• `/sailorslog api-key [reset]` - Get a key to send heartbeats from your editor straight to Sailor\'s Log\n' +
+  '• `/sailorslog streak` - Check your daily coding streak\n' +
+  '• `/sailorslog stats [day|week|month] [@user]` - See time by project, language, editor, OS and branch, plus lines changed\n' +
+  '• `/sailorslog quiet [22-8|off]` - Set quiet hours in your time zone, when notifications don\'t ping you\n' +
+  '• `/sailorslog quiet dnd [on|off]` - Also be quiet while Slack\'s do not disturb is on\n' +
+  '• `/sailorslog quiet [hold|silent]` - Hold notifications until quiet time ends, or post them without pinging you\n' +
+  '• `/sailorslog badge [on|off]` - Share your coding time as a badge image anyone can load, e.g. in a README\n' +
+  '• `/sailorslog link <project> [url]` - Link a project to its repo (leave out the URL for a suggestion)\n' +
+  '• `/sailorslog unlink <project>` - Remove a project\'s link\n' +
+  '• `/sailorslog mute <project>` - Stop notifications for one project (`unmute` to undo)\n' +
+  '• `/sailorslog private <project>` - Show a project as "a secret project" in notifications and leaderboards (`public` to undo)\n' +
+  '• `/sailorslog leaderboard [period] [N|all]` - Show coding leaderboard\n' +
+  '  Periods: `day`, `yesterday`, `week`, `lastweek`, `month`, `year`, `all` or a range like `2026-10-01..2026-10-07`\n' +
+  '  Examples:\n' +
+  '  • `/sailorslog leaderboard` - Show today\'s top 10 (or this channel\'s default, see `/sailorslog config`)\n' +
+  '  • `/sailorslog leaderboard week` - Show this week\'s top 10\n' +
+  '  • `/sailorslog leaderboard day 100` - Show today\'s top 100\n' +
+  '  • `/sailorslog leaderboard week all` - Show everyone this week\n' +
+  '  • `/sailorslog leaderboard 2026-10-01..2026-10-31 all` - Show everyone for October\n' +
+  '• `/sailorslog leaderboard language rust [period] [N|all]` - Rank by time spent in one language\n' +
+  '• `/sailorslog leaderboard project <name> [period] [N|all]` - Rank by time spent on one project\n' +
+  '• `/sailorslog leaderboard on [daily|weekly [day]] [hour]` - Post leaderboards in this channel automatically (channel admins)\n' +
+  '• `/sailorslog leaderboard off [daily|weekly]` - Stop posting scheduled leaderboards (channel admins)\n' +
+  '• `/sailorslog leaderboard timezone [America/New_York|user]` - Set the time zone leaderboards use in this channel (channel admins)\n' +
+  '• `/sailorslog leaderboard weekstart [monday|sunday|...]` - Set the day leaderboard weeks start on (channel admins)\n' +
+  '• `/sailorslog leaderboard public [on|off]` - Share this channel\'s leaderboard as a public web page (channel admins)\n' +
+  '• `/sailorslog flags [all]` - Admins: review time flagged as suspicious, then `flags dismiss <id>` or `flags confirm <id>`\n' +
+  '• `/sailorslog admin` - Channel creators and admins: manage this channel\'s subscribers and settings\n' +
+  '• `/sailorslog config` - See or change (channel admins) this channel\'s event name, kudos, notification templates and leaderboard defaults';
 
 async function verifySlackRequest(req) {
   const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
@@ -227,9 +94,8 @@ async function verifySlackRequest(req) {
     throw new Error('Request is too old');
   }
 
-  // Get the raw body from FormData
-  const formData = await req.formData();
-  const rawBody = new URLSearchParams(formData).toString();
+  // Sign the body exactly as Slack sent it, re-encoding it can change it
+  const rawBody = await req.text();
   
   // Create signature base string
   const sigBasestring = `v0:${timestamp}:${rawBody}`;
@@ -266,7 +132,51 @@ async function verifySlackRequest(req) {
     throw new Error('Invalid signature');
   }
 
-  return formData;
+  return rawBody;
+}
+
+// Parse `leaderboard [language <name>|project <name>] [period] [N|all]`. The first word is the period unless it's a number, so
+// `leaderboard all` is all time while `leaderboard week all` is everyone this week.
+// `defaults` is the channel's default period and limit
+function parseLeaderboardArgs(args, defaults) {
+  let { period, limit } = defaults;
+  let filter = null;
+  let rest = args;
+
+  // `language rust` or `project <name>` only count time in that language or project
+  if (rest[0] === 'language' || rest[0] === 'project') {
+    if (!rest[1]) {
+      return { error: `Which ${rest[0]}? For example \`/sailorslog leaderboard ${rest[0] === 'language' ? 'language rust' : 'project my-app'}\`.` };
+    }
+    filter = { type: rest[0], value: rest[1] };
+    rest = rest.slice(2);
+  }
+
+  if (rest.length > 0 && !/^\d+$/.test(rest[0])) {
+    const parsed = parsePeriod(rest[0]);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    period = parsed.period;
+    rest = rest.slice(1);
+  }
+
+  if (rest.length > 0) {
+    if (rest[0] === 'all') {
+      limit = 'all';
+    } else if (/^\d+$/.test(rest[0]) && parseInt(rest[0], 10) > 0) {
+      limit = parseInt(rest[0], 10);
+    } else {
+      return { error: `\`${rest[0]}\` isn't a valid number of people to show. Use a positive number or \`all\`.` };
+    }
+    rest = rest.slice(1);
+  }
+
+  if (rest.length > 0) {
+    return { error: `I don't know what to do with \`${rest.join(' ')}\`.` };
+  }
+
+  return { period, limit, filter };
 }
 
 async function handleSlashCommand(formData) {
@@ -276,26 +186,23 @@ async function handleSlashCommand(formData) {
   const user_id = formData.get('user_id');
   const channel_id = formData.get('channel_id');
 
-  console.log('Received command:', { command, text, user_id, channel_id });
+  // Don't log API keys
+  const loggedText = /^\s*link-account\b/i.test(text || '') ? 'link-account [redacted]' : text;
+  console.log('Received command:', { command, text: loggedText, user_id, channel_id });
 
   // Parse the command
-  const args = text?.trim().toLowerCase().split(/\s+/) || [];
+  // Quoted words stay together, e.g. `leaderboard project "my app"`
+  const rawArgs = (text?.trim().replace(/[“”]/g, '"').match(/"[^"]*"|\S+/g) || [])
+    .map(arg => arg.replace(/^"(.*)"$/, '$1'));
+  const args = rawArgs.map(arg => arg.toLowerCase());
   const action = args[0];
+  slashCommandsTotal.inc({ action: COMMAND_ACTIONS.includes(action) ? action : action ? 'unknown' : 'help' });
 
   // Handle empty command
   if (!action) {
     return new Response(JSON.stringify({
       response_type: 'ephemeral',
-      text: 'Welcome to Sailor\'s Log! Usage:\n' +
-           '• `/sailorslog on` - Enable notifications\n' +
-           '• `/sailorslog off` - Disable notifications\n' +
-           '• `/sailorslog status` - Check notification status\n' +
-           '• `/sailorslog leaderboard [day|week] [N|all]` - Show coding leaderboard\n' +
-           '  Examples:\n' +
-           '  • `/sailorslog leaderboard` - Show today\'s top 10\n' +
-           '  • `/sailorslog leaderboard week` - Show this week\'s top 10\n' +
-           '  • `/sailorslog leaderboard day 100` - Show today\'s top 100\n' +
-           '  • `/sailorslog leaderboard week all` - Show everyone this week'
+      text: USAGE_TEXT
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -303,36 +210,612 @@ async function handleSlashCommand(formData) {
   }
 
   try {
+    // Channel-wide settings are for channel admins, the same as `/sailorslog admin settings`
+    const changesChannelSettings = action === 'leaderboard'
+      ? args[1] === 'on' || args[1] === 'off' || ((args[1] === 'timezone' || args[1] === 'weekstart' || args[1] === 'public') && Boolean(args[2]))
+      : action === 'threshold' && args[1] === 'channel' && Boolean(args[2]);
+    if (changesChannelSettings && !await isChannelAdmin(user_id, channel_id)) {
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: 'Sorry, only this channel\'s creator and workspace admins can change its settings.'
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Project and streak commands are about the user's own Hackatime account
+    const hackatimeUserId = ['link', 'unlink', 'mute', 'unmute', 'private', 'public', 'streak'].includes(action)
+      ? await getHackatimeUserId(user_id)
+      : undefined;
+    if (hackatimeUserId === null) {
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: 'Sorry, someone else has linked the Hackatime account with your Slack ID. Link your own with `/sailorslog link-account <api key>` first.'
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle scheduled leaderboard posts
+    if (action === 'leaderboard' && (args[1] === 'on' || args[1] === 'off')) {
+      const enabled = args[1] === 'on';
+      const schedules = args[2] === 'daily' || args[2] === 'weekly' ? [args[2]] : ['daily', 'weekly'];
+      let hourArg = args[2] === 'daily' || args[2] === 'weekly' ? args[3] : args[2];
+
+      const data = {};
+      for (const schedule of schedules) {
+        data[`leaderboard_${schedule}`] = enabled;
+      }
+
+      // `leaderboard on weekly friday 17` picks the day weekly posts go out on
+      const weekday = args[2] === 'weekly' ? parseWeekday(args[3]) : -1;
+      if (enabled && weekday !== -1) {
+        data.leaderboard_weekday = weekday;
+        hourArg = args[4];
+      }
+
+      if (enabled && hourArg !== undefined) {
+        const hour = parseInt(hourArg, 10);
+        if (isNaN(hour) || hour < 0 || hour > 23 || String(hour) !== hourArg) {
+          return new Response(JSON.stringify({
+            response_type: 'ephemeral',
+            text: `Sorry, \`${hourArg}\` isn't a valid hour. Use a number from 0 to 23, like \`/sailorslog leaderboard on daily 17\`.`
+          }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        data.leaderboard_hour = hour;
+      }
+
+      const settings = await updateChannelSettings(channel_id, data);
+      await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'leaderboard', details: data });
+
+      let text;
+      if (!settings.leaderboard_daily && !settings.leaderboard_weekly) {
+        text = `<@${user_id}> turned off scheduled leaderboards in this channel.`;
+      } else {
+        const posts = [];
+        if (settings.leaderboard_daily) {
+          posts.push('a daily leaderboard');
+        }
+        if (settings.leaderboard_weekly) {
+          posts.push(`a weekly leaderboard every ${WEEKDAYS[settings.leaderboard_weekday]}`);
+        }
+        text = `<@${user_id}> ran \`/sailorslog leaderboard ${args.slice(1).join(' ')}\`. Sailor's Log will post ${posts.join(' and ')} in this channel at ${settings.leaderboard_hour}:00 (${settings.timezone}).`;
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'in_channel',
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle the public leaderboard page
+    if (action === 'leaderboard' && args[1] === 'public') {
+      const url = `${process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/$/, '') : 'https://<this server>'}/leaderboard/${channel_id}`;
+      let responseType = 'in_channel';
+      let text;
+
+      if (args[2] === 'on' || args[2] === 'off') {
+        await updateChannelSettings(channel_id, { public_leaderboard: args[2] === 'on' });
+        await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'public', details: { public_leaderboard: args[2] === 'on' } });
+        text = args[2] === 'on'
+          ? `<@${user_id}> made this channel's leaderboard public. Anyone with the link can see it at ${url}, including everyone's names and project names (private projects stay secret).`
+          : `<@${user_id}> made this channel's leaderboard private again.`;
+      } else {
+        const settings = await getChannelSettings(channel_id);
+        responseType = 'ephemeral';
+        text = settings?.public_leaderboard
+          ? `This channel's leaderboard is public at ${url}. Use \`/sailorslog leaderboard public off\` to hide it.`
+          : 'This channel\'s leaderboard isn\'t public. Use `/sailorslog leaderboard public on` to share it as a web page.';
+      }
+
+      return new Response(JSON.stringify({
+        response_type: responseType,
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle leaderboard time zone and week settings
+    if (action === 'leaderboard' && (args[1] === 'timezone' || args[1] === 'weekstart')) {
+      const value = args[2];
+      let reply;
+
+      if (args[1] === 'timezone') {
+        // Time zone names are case-sensitive, so read them from the original text
+        const rawValue = rawArgs[2];
+        const timeZone = rawValue && normalizeTimeZone(rawValue);
+
+        if (!value) {
+          const settings = await getChannelSettings(channel_id);
+          reply = settings?.use_user_timezones
+            ? 'Leaderboards in this channel use each member\'s own Slack time zone.'
+            : `Leaderboards in this channel use the ${settings?.timezone || 'UTC'} time zone.`;
+        } else if (value === 'user') {
+          await updateChannelSettings(channel_id, { use_user_timezones: true });
+          await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'timezone', details: { use_user_timezones: true } });
+          reply = '✅ Leaderboards in this channel now use each member\'s own Slack time zone for "today" and "this week".';
+        } else if (timeZone) {
+          const settings = await updateChannelSettings(channel_id, { timezone: timeZone, use_user_timezones: false });
+          await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'timezone', details: { timezone: timeZone, use_user_timezones: false } });
+          reply = `✅ Leaderboards and scheduled posts in this channel now use the ${settings.timezone} time zone.`;
+        } else {
+          reply = `Sorry, \`${rawValue}\` isn't a time zone I know. Use a name like \`America/New_York\` or \`Europe/Berlin\`, or \`user\` for each member's own time zone.`;
+        }
+      } else {
+        const weekStart = parseWeekday(value);
+        if (!value) {
+          const settings = await getChannelSettings(channel_id);
+          reply = `Leaderboard weeks in this channel start on ${WEEKDAYS[settings?.week_start ?? 1]}.`;
+        } else if (weekStart === -1) {
+          reply = `Sorry, \`${value}\` isn't a day of the week.`;
+        } else {
+          await updateChannelSettings(channel_id, { week_start: weekStart });
+          await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'weekstart', details: { week_start: weekStart } });
+          reply = `✅ Leaderboard weeks in this channel now start on ${WEEKDAYS[weekStart]}.`;
+        }
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Handle leaderboard command
     if (action === 'leaderboard') {
       console.log('Processing leaderboard command:', args);
-      let period = 'day';
-      let limit = 10;
+      const defaults = getLeaderboardDefaults(await getChannelSettings(channel_id));
+      const { period, limit, filter, error } = parseLeaderboardArgs(args.slice(1), defaults);
+      if (error) {
+        return new Response(JSON.stringify({
+          response_type: 'ephemeral',
+          text: `${error}\nUsage: \`/sailorslog leaderboard [language <name>|project <name>] [period] [N|all]\``
+        }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      console.log('Fetching leaderboard for period:', period, 'with limit:', limit);
+      const [first, ...rest] = await getLeaderboard(channel_id, period, limit, filter);
 
-      // Check for period argument
-      if (args[1] === 'week') {
-        period = 'week';
+      if (rest.length === 0) {
+        return new Response(JSON.stringify({
+          response_type: 'in_channel', // Make the response visible to everyone
+          ...first
+        }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
       }
 
-      // Check for limit argument
-      if (args.length >= 2 && args[args.length - 1] !== 'week' && args[args.length - 1] !== 'day') {
-        const lastArg = args[args.length - 1];
-        if (lastArg === 'all') {
-          limit = 'all';
+      // Long leaderboards don't fit in one message, so post every part to the response URL in order
+      const responseUrl = formData.get('response_url');
+      (async () => {
+        for (const message of [first, ...rest]) {
+          const response = await fetch(responseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ response_type: 'in_channel', ...message })
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+        }
+      })().catch(error => console.error('Error posting leaderboard parts:', error));
+
+      return new Response(null, { status: 200 });
+    }
+
+    // Handle notification threshold
+    if (action === 'threshold') {
+      const isChannel = args[1] === 'channel';
+      const value = isChannel ? args[2] : args[1];
+      const channelSettings = await getChannelSettings(channel_id);
+      const pref = await prisma.slackNotificationPreference.findUnique({
+        where: {
+          slack_user_id_slack_channel_id: {
+            slack_user_id: user_id,
+            slack_channel_id: channel_id
+          }
+        }
+      });
+
+      let text;
+      if (!value) {
+        const channelThreshold = resolveThreshold(null, channelSettings);
+        text = `This channel's default is every ${formatDuration(channelThreshold)} of coding.`;
+        if (pref?.threshold_seconds) {
+          text += ` You've chosen every ${formatDuration(pref.threshold_seconds)} for yourself.`;
+        }
+      } else {
+        let thresholdSeconds = null;
+        if (value !== 'reset') {
+          thresholdSeconds = parseDuration(value);
+          if (!thresholdSeconds || thresholdSeconds < MIN_THRESHOLD_SECONDS || thresholdSeconds > MAX_THRESHOLD_SECONDS) {
+            return new Response(JSON.stringify({
+              response_type: 'ephemeral',
+              text: `Sorry, \`${value}\` isn't a valid threshold. Use something like \`30m\`, \`1h\` or \`1h30m\`, between ${formatDuration(MIN_THRESHOLD_SECONDS)} and ${formatDuration(MAX_THRESHOLD_SECONDS)}.`
+            }), {
+              status: 200,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+        }
+
+        if (isChannel) {
+          await updateChannelSettings(channel_id, { threshold_seconds: thresholdSeconds });
+          await logAdminAction(user_id, 'settings', { channelId: channel_id, target: 'threshold', details: { threshold_seconds: thresholdSeconds } });
+          text = `✅ This channel now celebrates every ${formatDuration(resolveThreshold(null, { threshold_seconds: thresholdSeconds }))} of coding by default.`;
+        } else if (!pref) {
+          text = 'Turn on notifications in this channel with `/sailorslog on` before setting a threshold.';
         } else {
-          const parsedLimit = parseInt(lastArg, 10);
-          if (!isNaN(parsedLimit) && parsedLimit > 0) {
-            limit = parsedLimit;
+          await prisma.slackNotificationPreference.update({
+            where: { id: pref.id },
+            data: { threshold_seconds: thresholdSeconds }
+          });
+          const effective = resolveThreshold({ threshold_seconds: thresholdSeconds }, channelSettings);
+          text = `✅ You'll now be celebrated in this channel every ${formatDuration(effective)} of coding on a project.`;
+        }
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle Hackatime account links
+    if (action === 'link-account' || action === 'unlink-account') {
+      let reply;
+
+      if (action === 'unlink-account') {
+        reply = await unlinkAccount(user_id)
+          ? '✅ Your Hackatime account is no longer linked.'
+          : 'Your Hackatime account wasn\'t linked.';
+      } else if (!rawArgs[1]) {
+        reply = 'Usage: `/sailorslog link-account <api key>`. You can find your API key in your Hackatime settings.';
+      } else {
+        const link = await linkAccount(user_id, rawArgs[1]);
+        reply = link
+          ? `✅ Linked your Hackatime account (user ${link.hackatime_user_id}). Your coding time will now show up in notifications, stats and leaderboards. Keep your API key secret, and reset it in Hackatime if you posted it anywhere else.`
+          : 'Sorry, that API key doesn\'t belong to any Hackatime account. Double-check it in your Hackatime settings.';
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle Sailor's Log API keys
+    if (action === 'api-key') {
+      let reply;
+
+      if (args[1] !== 'reset' && await hasApiKey(user_id)) {
+        reply = 'You already have an API key. Run `/sailorslog api-key reset` to get a new one (the old one stops working).';
+      } else {
+        const apiKey = await createApiKey(user_id);
+        const apiUrl = process.env.PUBLIC_URL ? `${process.env.PUBLIC_URL.replace(/\/$/, '')}/api/v1` : 'https://<this server>/api/v1';
+        reply = `🔑 Your API key is \`${apiKey}\`. Keep it secret, it's only shown this once.\n` +
+          `To send heartbeats from your editor straight to Sailor's Log, put this in \`~/.wakatime.cfg\`:\n` +
+          `\`\`\`[settings]\napi_url = ${apiUrl}\napi_key = ${apiKey}\`\`\``;
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle project links
+    if (action === 'link' || action === 'unlink') {
+      // Project names and URLs are case-sensitive
+      const project = rawArgs[1];
+      let reply;
+
+      if (!project) {
+        reply = `Usage: \`/sailorslog ${action} <project>${action === 'link' ? ' <url>' : ''}\``;
+      } else if (action === 'unlink') {
+        reply = await unlinkProject(hackatimeUserId, project)
+          ? `✅ *${formatProjectName(project)}* is no longer linked.`
+          : `*${formatProjectName(project)}* wasn't linked.`;
+      } else if (!rawArgs[2]) {
+        const suggestion = await suggestRepoUrl(hackatimeUserId, project);
+        reply = suggestion
+          ? `Looks like *${formatProjectName(project)}* lives at ${suggestion}. Run \`/sailorslog link ${project} ${suggestion}\` to link it.`
+          : `Usage: \`/sailorslog link ${project} <url>\``;
+      } else {
+        const url = normalizeUrl(rawArgs[2]);
+        if (!url) {
+          reply = `Sorry, \`${rawArgs[2]}\` isn't a valid link. Use a full URL like \`https://github.com/you/${project}\`.`;
+        } else {
+          const link = await linkProject(hackatimeUserId, project, url);
+          reply = `✅ *${formatProjectName(link.project_name, link.url)}* will now be linked in notifications and leaderboards.`;
+        }
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle personal stats
+    if (action === 'stats') {
+      let period = 'day';
+      let statsUserId = user_id;
+      let error;
+
+      for (const arg of rawArgs.slice(1)) {
+        // Mentions come escaped, like <@U123|name>
+        const mention = arg.match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/i);
+        if (mention) {
+          statsUserId = mention[1].toUpperCase();
+          continue;
+        }
+        const parsed = parsePeriod(arg.toLowerCase());
+        if (parsed.error) {
+          error = parsed.error;
+          break;
+        }
+        period = parsed.period;
+      }
+
+      // Only people who've turned on notifications somewhere have public stats
+      if (!error && statsUserId !== user_id) {
+        const optedIn = await prisma.slackNotificationPreference.findFirst({
+          where: {
+            slack_user_id: statsUserId,
+            enabled: true
           }
+        });
+        if (!optedIn) {
+          error = `<@${statsUserId}> hasn't turned on Sailor's Log anywhere, so their stats aren't public.`;
         }
       }
 
-      console.log('Fetching leaderboard for period:', period, 'with limit:', limit);
-      const message = await getLeaderboard(channel_id, period, limit);
-      
+      if (error) {
+        return new Response(JSON.stringify({
+          response_type: 'ephemeral',
+          text: `${error}\nUsage: \`/sailorslog stats [day|week|month] [@user]\``
+        }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const stats = await formatUserStats(statsUserId, period, { showPrivate: statsUserId === user_id });
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        ...stats
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle quiet hours
+    if (action === 'quiet') {
+      const value = args[1];
+      let reply;
+
+      if (value === 'off') {
+        await updateUserSettings(user_id, { quiet_start: null, quiet_end: null, respect_dnd: false });
+        reply = '🔔 Quiet hours are off. Notifications will ping you whenever they\'re posted.';
+      } else if (value === 'dnd') {
+        if (args[2] !== 'on' && args[2] !== 'off') {
+          reply = 'Usage: `/sailorslog quiet dnd [on|off]`';
+        } else {
+          await updateUserSettings(user_id, { respect_dnd: args[2] === 'on' });
+          reply = args[2] === 'on'
+            ? '🌙 Notifications will also be quiet while your Slack do not disturb is on.'
+            : 'Slack\'s do not disturb will no longer affect notifications.';
+        }
+      } else if (QUIET_MODES.includes(value)) {
+        await updateUserSettings(user_id, { quiet_mode: value });
+        reply = value === 'hold'
+          ? '🌙 During quiet time, notifications will be held and posted as one summary when it ends.'
+          : '🌙 During quiet time, notifications will be posted right away without pinging you.';
+      } else if (value) {
+        const hours = parseQuietHours(value);
+        if (!hours) {
+          reply = `Sorry, \`${value}\` isn't a valid range of hours. Use start and end hours from 0 to 23, like \`/sailorslog quiet 22-8\`.`;
+        } else {
+          const settings = await updateUserSettings(user_id, { quiet_start: hours.start, quiet_end: hours.end });
+          reply = `🌙 Quiet hours are now ${hours.start}:00 to ${hours.end}:00 in your Slack time zone. Notifications will be ${settings.quiet_mode === 'hold' ? 'held until they end' : 'posted without pinging you'}.`;
+        }
+      } else {
+        const settings = await getUserSettings(user_id);
+        const parts = [];
+        if (settings?.quiet_start != null && settings?.quiet_end != null) {
+          parts.push(`from ${settings.quiet_start}:00 to ${settings.quiet_end}:00 in your Slack time zone`);
+        }
+        if (settings?.respect_dnd) {
+          parts.push('while Slack\'s do not disturb is on');
+        }
+        reply = parts.length === 0
+          ? 'You have no quiet hours set. Use `/sailorslog quiet 22-8` to set some.'
+          : `🌙 Notifications are quiet ${parts.join(' and ')}, and ${settings.quiet_mode === 'hold' ? 'held until quiet time ends' : 'posted without pinging you'}.`;
+      }
+
       return new Response(JSON.stringify({
-        response_type: 'in_channel', // Make the response visible to everyone
-        text: message
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle project mute and privacy
+    if (['mute', 'unmute', 'private', 'public'].includes(action)) {
+      // Project names are case-sensitive
+      const project = rawArgs[1];
+      let reply;
+
+      if (!project) {
+        reply = `Usage: \`/sailorslog ${action} <project>\``;
+      } else if (action === 'mute' || action === 'unmute') {
+        const settings = await updateProjectSettings(hackatimeUserId, project, { muted: action === 'mute' });
+        reply = settings.muted
+          ? `🔇 Muted *${formatProjectName(settings.project_name)}*. Its coding time still counts, but there won't be notifications for it. Use \`/sailorslog unmute ${project}\` to undo.`
+          : `🔔 Notifications for *${formatProjectName(settings.project_name)}* are back on.`;
+      } else {
+        const settings = await updateProjectSettings(hackatimeUserId, project, { private: action === 'private' });
+        reply = settings.private
+          ? `🤫 *${formatProjectName(settings.project_name)}* will show as "a secret project" in notifications and leaderboards. Use \`/sailorslog public ${project}\` to undo.`
+          : `✅ *${formatProjectName(settings.project_name)}* will show under its real name again.`;
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: reply
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle the public coding time badge
+    if (action === 'badge') {
+      const url = `${process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/$/, '') : 'https://<this server>'}/badge/${user_id}.svg`;
+      let text;
+
+      if (args[1] === 'on' || args[1] === 'off') {
+        await updateUserSettings(user_id, { public_badge: args[1] === 'on' });
+        text = args[1] === 'on'
+          ? `✅ Your badge is on. Anyone with the link can see your coding time at ${url} (add \`?period=week\` for this week). Put it in a README with \`![](${url})\`.`
+          : '✅ Your badge is off. The link no longer shows your coding time.';
+      } else {
+        const settings = await getUserSettings(user_id);
+        text = settings?.public_badge
+          ? `Your badge is on at ${url}. Use \`/sailorslog badge off\` to hide it.`
+          : 'Your badge is off. Use `/sailorslog badge on` to share your coding time as an image anyone can load.';
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle streak check
+    if (action === 'streak') {
+      const streak = await computeStreak(hackatimeUserId);
+      const minimum = formatDuration(STREAK_MIN_SECONDS);
+
+      let text;
+      if (streak.current === 0) {
+        text = `You don't have a coding streak going right now. Code at least ${minimum} today to start one!`;
+      } else {
+        text = `🔥 You're on a ${streak.current}-day coding streak (longest: ${streak.longest} days).`;
+        if (streak.atRisk) {
+          text += ` ⚠️ Your streak is at risk: code at least ${minimum} today to keep it going!`;
+        }
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle suspicious activity review (admins only)
+    if (action === 'flags') {
+      let text;
+
+      if (!await isAdmin(user_id)) {
+        text = 'Sorry, only Sailor\'s Log admins can review flagged activity.';
+      } else if ((args[1] === 'dismiss' || args[1] === 'confirm') && !rawArgs[2]) {
+        text = `Usage: \`/sailorslog flags ${args[1]} <id>\``;
+      } else if (args[1] === 'dismiss' || args[1] === 'confirm') {
+        const status = args[1] === 'dismiss' ? 'dismissed' : 'confirmed';
+        const result = await reviewFlag(rawArgs[2], status, user_id);
+        if (result) {
+          await logAdminAction(user_id, `flag_${status}`, { target: result.flag.id });
+        }
+        if (!result) {
+          text = `Sorry, there's no flag \`${rawArgs[2]}\`.`;
+        } else if (status === 'confirmed') {
+          text = `✅ Confirmed flag \`${result.flag.id}\`. That time stays out of leaderboards.`;
+        } else {
+          text = `✅ Dismissed flag \`${result.flag.id}\`.` + (result.final
+            ? ' Its heartbeats are already gone, so the time can\'t be counted again.'
+            : ' That time counts again in leaderboards.');
+        }
+      } else {
+        const flags = await getFlags({ status: args[1] === 'all' ? null : 'flagged' });
+        if (flags.length === 0) {
+          text = args[1] === 'all' ? 'Nothing has been flagged yet.' : 'No flags waiting for review. 🎉';
+        } else {
+          const lines = await Promise.all(flags.map(async flag => {
+            const slackUserId = await getSlackUserId(flag.user_id);
+            const user = slackUserId ? `<@${slackUserId}>` : `Hackatime user \`${flag.user_id}\``;
+            const status = flag.status === 'flagged' ? '' : ` (${flag.status})`;
+            return `• \`${flag.id}\` ${user}: ${formatDuration(flag.seconds)} on ${flag.start.toISOString().slice(0, 10)}, ${flag.rule.replace(/_/g, ' ')}${status}\n  ${flag.details}`;
+          }));
+          text = `🚩 *${args[1] === 'all' ? 'Recent flags' : 'Flags waiting for review'}*\n${lines.join('\n')}\n` +
+            'Run `/sailorslog flags dismiss <id>` to count the time again, or `/sailorslog flags confirm <id>` to keep it out.';
+        }
+      }
+
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle channel config
+    if (action === 'config') {
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: await handleConfigCommand(user_id, channel_id, args, text)
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Handle channel moderation
+    if (action === 'admin') {
+      return new Response(JSON.stringify({
+        response_type: 'ephemeral',
+        text: await handleAdminCommand(user_id, channel_id, args, rawArgs)
       }), {
         status: 200,
         headers: { 'Content-Type': 'application/json' }
@@ -362,7 +845,7 @@ async function handleSlashCommand(formData) {
 
       return new Response(JSON.stringify({
         response_type: 'ephemeral',
-        text: `Notifications are currently ${pref.enabled ? 'enabled' : 'disabled'} in this channel.`
+        text: `Notifications are currently ${pref.enabled ? 'enabled' : 'disabled'} in this channel, every ${formatDuration(resolveThreshold(pref, await getChannelSettings(channel_id)))} of coding on a project.`
       }), {
         status: 200,
         headers: { 'Content-Type': 'application/json' }
@@ -372,7 +855,17 @@ async function handleSlashCommand(formData) {
     // Handle on/off commands
     if (action === 'on' || action === 'off') {
       const enabled = action === 'on';
-      await prisma.slackNotificationPreference.upsert({
+      if (enabled && await isBanned(user_id, channel_id)) {
+        return new Response(JSON.stringify({
+          response_type: 'ephemeral',
+          text: 'Sorry, a channel admin has turned off Sailor\'s Log for you in this channel.'
+        }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const pref = await prisma.slackNotificationPreference.upsert({
         where: {
           slack_user_id_slack_channel_id: {
             slack_user_id: user_id,
@@ -396,8 +889,10 @@ async function handleSlashCommand(formData) {
       };
 
       if (enabled) {
+        const settings = await getChannelSettings(channel_id);
+        const thresholdSeconds = resolveThreshold(pref, settings);
         response.response_type = 'in_channel';
-        response.text = `<@${user_id}> ran \`/sailorslog on\` to turn on High Seas notifications in this channel. Every time they code an hour on a project, a short message celebrating will be posted to this channel. They will also show on \`/sailorslog leaderboard\`.`;
+        response.text = `<@${user_id}> ran \`/sailorslog on\` to turn on ${getEventName(settings)} notifications in this channel. Every time they code ${formatDuration(thresholdSeconds)} on a project, a short message celebrating will be posted to this channel. They will also show on \`/sailorslog leaderboard\`.`;
       }
 
       return new Response(JSON.stringify(response), {
@@ -409,16 +904,7 @@ async function handleSlashCommand(formData) {
     // If we get here, the command is unknown
     return new Response(JSON.stringify({
       response_type: 'ephemeral',
-      text: 'Welcome to Sailor\'s Log! Usage:\n' +
-           '• `/sailorslog on` - Enable notifications\n' +
-           '• `/sailorslog off` - Disable notifications\n' +
-           '• `/sailorslog status` - Check notification status\n' +
-           '• `/sailorslog leaderboard [day|week] [N|all]` - Show coding leaderboard\n' +
-           '  Examples:\n' +
-           '  • `/sailorslog leaderboard` - Show today\'s top 10\n' +
-           '  • `/sailorslog leaderboard week` - Show this week\'s top 10\n' +
-           '  • `/sailorslog leaderboard day 100` - Show today\'s top 100\n' +
-           '  • `/sailorslog leaderboard week all` - Show everyone this week'
+      text: USAGE_TEXT
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
@@ -439,14 +925,47 @@ async function handleSlashCommand(formData) {
 const server = Bun.serve({
   port,
   async fetch(req) {
-    // Only accept POST requests to /slack/commands
-    if (req.method !== 'POST' || new URL(req.url).pathname !== '/slack/commands') {
+    const { pathname } = new URL(req.url);
+
+    // Heartbeats from editor plugins
+    if (req.method === 'POST' && pathname in HEARTBEAT_PATHS) {
+      return handleHeartbeatRequest(req, { bulk: HEARTBEAT_PATHS[pathname] });
+    }
+
+    // Health checks and metrics
+    if (req.method === 'GET' && ['/healthz', '/readyz', '/metrics'].includes(pathname)) {
+      return handleHealthRequest(req);
+    }
+
+    // Read-only JSON API
+    if (req.method === 'GET' && pathname.startsWith('/api/')) {
+      return handleApiRequest(req);
+    }
+
+    // Badges and public leaderboards
+    if (req.method === 'GET' && (pathname.startsWith('/badge/') || pathname.startsWith('/leaderboard/'))) {
+      return handlePublicRequest(req);
+    }
+
+    // Everything else is a POST request from Slack
+    if (req.method !== 'POST' || !['/slack/commands', '/slack/interactions', '/slack/events'].includes(pathname)) {
       return new Response('Not Found', { status: 404 });
     }
 
     try {
-      // Verify the request is from Slack and get form data
-      const formData = await verifySlackRequest(req);
+      // Verify the request is from Slack
+      const rawBody = await verifySlackRequest(req);
+
+      // Events are JSON, everything else is form data
+      if (pathname === '/slack/events') {
+        return await handleEvent(JSON.parse(rawBody));
+      }
+      const formData = new URLSearchParams(rawBody);
+
+      // Button clicks come as a JSON payload
+      if (pathname === '/slack/interactions') {
+        return await handleInteraction(JSON.parse(formData.get('payload')));
+      }
       
       // Handle the command
       return await handleSlashCommand(formData);
@@ -0,0 +1,67 @@
+import { WebClient } from '@slack/web-api';
+import { prisma } from './db.js';
+import { enqueueMessage } from './outbox.js';
+
+// Add Slack Web API client
+export const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+// Cache expiry time in milliseconds (24 hours)
+const CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+export async function getUserInfo(userId) {
+  try {
+    const cutoff = new Date(Date.now() - CACHE_EXPIRY_MS);
+    
+    // Check cache in database (only get entries newer than cutoff)
+    const cachedInfo = await prisma.slackUserCache.findFirst({
+      where: { 
+        slack_user_id: userId,
+        created_at: {
+          gte: cutoff
+        }
+      }
+    });
+
+    if (cachedInfo) {
+      return { displayName: cachedInfo.display_name, timezone: cachedInfo.timezone };
+    }
+
+    // Fetch from Slack API
+    const result = await slack.users.info({ user: userId });
+    const displayName = result.user.profile.display_name || result.user.real_name || result.user.name;
+    const timezone = result.user.tz || null;
+
+    // Delete old cache entries for this user
+    await prisma.slackUserCache.deleteMany({
+      where: {
+        slack_user_id: userId
+      }
+    });
+
+    // Store in cache
+    await prisma.slackUserCache.create({
+      data: {
+        slack_user_id: userId,
+        display_name: displayName,
+        timezone
+      }
+    });
+
+    return { displayName, timezone };
+  } catch (error) {
+    console.error(`Error fetching user info for ${userId}:`, error);
+    return { displayName: userId, timezone: null };
+  }
+}
+
+// `message` is also the fallback text shown in notifications when `blocks` are given.
+// Messages go through the outbox, so this only fails if the message couldn't be saved.
+export async function sendSlackNotification(channel, message, blocks) {
+  try {
+    await enqueueMessage(channel, message, blocks);
+    return true;
+  } catch (error) {
+    console.error('Error sending Slack notification:', error);
+    return false;
+  }
+}
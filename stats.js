@@ -0,0 +1,113 @@
+import { getCodingTimeBetween } from './rollups.js';
+import { getPeriodWindow, describeWindow, normalizeTimeZone } from './periods.js';
+import { getUserInfo } from './slackClient.js';
+import { getProjectLinks, formatProjectName } from './links.js';
+import { getProjectSettings, hidePrivateProjects, SECRET_PROJECT_NAME } from './projects.js';
+import { getHackatimeUserId } from './identity.js';
+
+const MAX_ITEMS = 5;
+
+export function formatTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// "• name: 1h 5m (40%)" for the biggest items, with the rest added up
+export function formatBreakdown(items, total, formatName = name => name) {
+  const lines = items.slice(0, MAX_ITEMS).map(item => {
+    const percent = total > 0 ? Math.round(item.total / total * 100) : 0;
+    return `• ${formatName(item.key)}: ${formatTime(item.total)} (${percent}%)`;
+  });
+  if (items.length > MAX_ITEMS) {
+    const rest = items.slice(MAX_ITEMS).reduce((sum, item) => sum + item.total, 0);
+    lines.push(`• ${items.length - MAX_ITEMS} more: ${formatTime(rest)}`);
+  }
+  return lines.join('\n');
+}
+
+function formatFields(fields) {
+  return {
+    type: 'section',
+    fields: fields.map(([title, text]) => ({ type: 'mrkdwn', text: `*${title}*\n${text || '_None_'}` }))
+  };
+}
+
+// A user's coding time for a period, in their own Slack time zone. Other people only see
+// private projects as one secret project.
+export async function getUserStats(slackUserId, period = 'day', { showPrivate = true } = {}) {
+  const userInfo = await getUserInfo(slackUserId);
+  const userId = await getHackatimeUserId(slackUserId);
+  const timeZone = (userInfo.timezone && normalizeTimeZone(userInfo.timezone)) || 'UTC';
+  const window = getPeriodWindow(period, { timeZone });
+  if (!userId) {
+    return { userInfo, window, summary: null, links: null };
+  }
+
+  const totals = await getCodingTimeBetween([userId], window.start, window.end);
+  let summary = totals.get(userId) || null;
+  if (summary && !showPrivate) {
+    summary = hidePrivateProjects(summary, (await getProjectSettings([userId])).get(userId));
+  }
+
+  const links = (await getProjectLinks([userId])).get(userId);
+  return { userInfo, window, summary, links };
+}
+
+// Branches only mean something next to their project
+export function getProjectBranches(summary) {
+  return summary.projects
+    .filter(project => !project.secret)
+    .flatMap(project => (project.branches || [])
+      .filter(branch => branch.key !== 'unknown')
+      .map(branch => ({ project: project.key, key: branch.key, total: branch.total })))
+    .sort((a, b) => b.total - a.total);
+}
+
+export async function formatUserStats(slackUserId, period = 'day', { showPrivate = true } = {}) {
+  const { userInfo, window, summary, links } = await getUserStats(slackUserId, period, { showPrivate });
+  const title = `📊 Coding stats for @${userInfo.displayName} - ${window.label}`;
+
+  if (!summary || summary.total < 60) {
+    const text = `No coding activity found for @${userInfo.displayName} ${window.label.toLowerCase()}.`;
+    return {
+      text,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    };
+  }
+
+  const projectName = name => name === SECRET_PROJECT_NAME && !showPrivate
+    ? name
+    : formatProjectName(name, links?.get(name.toLowerCase()));
+
+  const branches = getProjectBranches(summary)
+    .map(branch => ({ key: `${formatProjectName(branch.project)} › ${formatProjectName(branch.key)}`, total: branch.total }));
+
+  const linesAdded = summary.lines_added || 0;
+  const linesRemoved = summary.lines_removed || 0;
+
+  return {
+    text: `${title}: ${formatTime(summary.total)}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${title}*\n⏱️ ${formatTime(summary.total)} total · ➕ ${linesAdded.toLocaleString('en-US')} lines added · ➖ ${linesRemoved.toLocaleString('en-US')} lines removed` }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `_${describeWindow(window)}_` }]
+      },
+      formatFields([
+        ['Projects', formatBreakdown(summary.projects, summary.total, projectName)],
+        ['Languages', formatBreakdown(summary.languages, summary.total)]
+      ]),
+      formatFields([
+        ['Editors', formatBreakdown(summary.editors || [], summary.total)],
+        ['Operating Systems', formatBreakdown(summary.operating_systems || [], summary.total)]
+      ]),
+      formatFields([
+        ['Branches', formatBreakdown(branches, summary.total)]
+      ])
+    ]
+  };
+}
@@ -0,0 +1,92 @@
+import { prisma } from './db.js';
+
+// Minimum coding time for a day to count toward a streak
+export const STREAK_MIN_SECONDS = (parseInt(process.env.STREAK_MIN_MINUTES) || 15) * 60;
+const STREAK_MILESTONES = [3, 7, 14, 21, 30, 50, 75, 100, 150, 200, 250, 300, 365];
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+function isMilestone(streak) {
+  return STREAK_MILESTONES.includes(streak) || (streak > 365 && streak % 100 === 0);
+}
+
+// Work out streaks from the daily rollups. A streak that reached yesterday is still current
+// (but at risk) until today ends without enough coding.
+export async function computeStreak(userId, today = toDateString(new Date())) {
+  const rows = await prisma.userCodingTime.findMany({
+    where: {
+      user_id: userId,
+      total_seconds: { gte: STREAK_MIN_SECONDS }
+    },
+    select: { date: true },
+    orderBy: { date: 'asc' }
+  });
+  const days = rows.map(row => toDateString(row.date));
+  const qualified = new Set(days);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const codedToday = qualified.has(today);
+  let current = 0;
+  let day = codedToday ? today : addDays(today, -1);
+  while (qualified.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return {
+    current,
+    longest,
+    codedToday,
+    atRisk: current > 0 && !codedToday,
+    lastCodedDate: days[days.length - 1] || null
+  };
+}
+
+// Refresh the stored streak and return the streak length to celebrate, if it just hit a milestone
+export async function updateStreak(userId) {
+  const streak = await computeStreak(userId);
+  const existing = await prisma.userStreak.findUnique({
+    where: { user_id: userId }
+  });
+
+  // Forget old celebrations once the streak they belonged to is broken
+  let celebrated = existing?.celebrated_streak || 0;
+  if (streak.current < celebrated) {
+    celebrated = 0;
+  }
+
+  const shouldCelebrate = streak.codedToday &&
+    isMilestone(streak.current) &&
+    celebrated !== streak.current;
+
+  const data = {
+    current_streak: streak.current,
+    longest_streak: streak.longest,
+    last_coded_date: streak.lastCodedDate ? new Date(streak.lastCodedDate) : null,
+    celebrated_streak: shouldCelebrate ? streak.current : celebrated
+  };
+
+  await prisma.userStreak.upsert({
+    where: { user_id: userId },
+    create: { user_id: userId, ...data },
+    update: data
+  });
+
+  return shouldCelebrate ? streak.current : null;
+}
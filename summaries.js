@@ -0,0 +1,257 @@
+import { prisma, getUserApiKey } from './db.js';
+import { computeDurations, mergeSummaries, subtractSummaries, HEARTBEAT_TIMEOUT_SECONDS } from './durations.js';
+import { summaryApiRequests, summaryApiDuration } from './metrics.js';
+
+// How often to check local totals against the summary API. 0 (the default) never calls it.
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.SUMMARY_RECONCILE_MINUTES) || 0;
+
+export async function fetchUserSummary(apiKey) {
+  const started = Date.now();
+  try {
+    const response = await fetch('https://waka.hackclub.com/api/summary?interval=all_time&recompute=true', {
+      headers: {
+        'accept': 'application/json',
+        'Authorization': `Basic ${Buffer.from(apiKey).toString('base64')}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`API request failed with status ${response.status}`);
+    }
+
+    const summary = await response.json();
+    summaryApiRequests.inc({ result: 'success' });
+    return summary;
+  } catch (error) {
+    console.error('Error fetching user summary:', error);
+    summaryApiRequests.inc({ result: 'error' });
+    return null;
+  } finally {
+    summaryApiDuration.observe({}, (Date.now() - started) / 1000);
+  }
+}
+
+export async function getLatestSummary(userId, source = 'local') {
+  const latest = await prisma.userSummary.findFirst({
+    where: {
+      user_id: userId,
+      source
+    },
+    orderBy: {
+      created_at: 'desc'
+    }
+  });
+
+  return latest ? JSON.parse(latest.summary_data) : null;
+}
+
+async function saveSummary(userId, summary, source) {
+  await prisma.userSummary.create({
+    data: {
+      user_id: userId,
+      source,
+      summary_data: JSON.stringify(summary)
+    }
+  });
+}
+
+// Fetch the all-time summary from the API and keep a copy for reference
+async function fetchRemoteSummary(userId) {
+  const apiKey = await getUserApiKey(userId);
+  if (!apiKey) {
+    console.log(`No API key found for user ${userId}`);
+    return null;
+  }
+
+  const started = Date.now();
+  const remote = await fetchUserSummary(apiKey);
+  if (!remote) {
+    return null;
+  }
+
+  console.log(`Fetched remote summary for user ${userId} in ${Date.now() - started}ms`);
+  await saveSummary(userId, remote, 'remote');
+  return remote;
+}
+
+function withRemoteTotals(localItems = [], remoteItems = []) {
+  const merged = new Map(localItems.map(item => [item.key, { ...item }]));
+  for (const item of remoteItems) {
+    merged.set(item.key, { languages: [], ...merged.get(item.key), key: item.key, total: item.total || 0 });
+  }
+  return Array.from(merged.values()).sort((a, b) => b.total - a.total);
+}
+
+// Where a summary has counted up to, in the order heartbeats were stored
+function syncCursor(heartbeat) {
+  return heartbeat ? { synced_at: heartbeat.synced_at.toISOString(), id: heartbeat.id } : null;
+}
+
+async function getLatestSyncCursor(userId) {
+  const latest = await prisma.syncedHeartbeat.findFirst({
+    where: { user_id: userId },
+    orderBy: [{ synced_at: 'desc' }, { id: 'desc' }]
+  });
+  return syncCursor(latest);
+}
+
+// Heartbeats stored after the cursor. Summaries from before there was a cursor only know the
+// time of the last heartbeat they counted.
+function afterCursor(summary) {
+  const cursor = summary?.synced_through;
+  if (cursor) {
+    const syncedAt = new Date(cursor.synced_at);
+    return {
+      OR: [
+        { synced_at: { gt: syncedAt } },
+        { synced_at: syncedAt, id: { gt: cursor.id } }
+      ]
+    };
+  }
+  return summary?.last_heartbeat_at ? { time: { gt: new Date(summary.last_heartbeat_at) } } : {};
+}
+
+// Pick up coding time from heartbeats stored since the last local summary and store an updated
+// running total. New heartbeats are picked by when they were stored rather than their time, so
+// ones that arrive late still get counted, and nothing is counted twice.
+export async function updateLocalSummary(userId) {
+  let base = await getLatestSummary(userId);
+
+  // Start new users from their all-time API totals when reconciliation is on
+  if (!base && RECONCILE_INTERVAL_MINUTES > 0) {
+    const remote = await fetchRemoteSummary(userId);
+    if (remote) {
+      base = {
+        total: remote.projects?.reduce((total, project) => total + (project.total || 0), 0) || 0,
+        projects: withRemoteTotals([], remote.projects),
+        languages: withRemoteTotals([], remote.languages),
+        synced_through: await getLatestSyncCursor(userId)
+      };
+      await saveSummary(userId, base, 'local');
+    }
+  }
+
+  const heartbeats = await prisma.syncedHeartbeat.findMany({
+    where: {
+      user_id: userId,
+      ...afterCursor(base)
+    },
+    orderBy: [{ synced_at: 'asc' }, { id: 'asc' }]
+  });
+  if (heartbeats.length === 0) {
+    return base;
+  }
+
+  // A new heartbeat changes the gaps on either side of it, so recount everything within the
+  // timeout of the new ones with and without them and add the difference
+  let summary = base;
+  const counted = heartbeats.filter(hb => !hb.flagged);
+  if (counted.length > 0) {
+    const times = counted.map(hb => hb.time.getTime());
+    const timeout = HEARTBEAT_TIMEOUT_SECONDS * 1000;
+    const nearby = await prisma.syncedHeartbeat.findMany({
+      where: {
+        user_id: userId,
+        flagged: false,
+        time: {
+          gte: new Date(Math.min(...times) - timeout),
+          lte: new Date(Math.max(...times) + timeout)
+        }
+      },
+      orderBy: { time: 'asc' }
+    });
+    const newIds = new Set(heartbeats.map(hb => hb.id));
+    summary = subtractSummaries(
+      mergeSummaries(base, computeDurations(nearby)),
+      computeDurations(nearby.filter(hb => !newIds.has(hb.id)))
+    );
+  }
+
+  summary = {
+    ...summary,
+    synced_through: syncCursor(heartbeats[heartbeats.length - 1])
+  };
+  delete summary.last_heartbeat_at;
+  await saveSummary(userId, summary, 'local');
+  return summary;
+}
+
+// Run `change`, which flags or unflags heartbeats between start and end, and move the running
+// total by however much that changes the time it already counted. Returns the change in seconds
+// per project.
+export async function recountSummary(userId, start, end, change) {
+  const base = await getLatestSummary(userId);
+  if (!base?.synced_through && !base?.last_heartbeat_at) {
+    await change();
+    return new Map();
+  }
+
+  const timeout = HEARTBEAT_TIMEOUT_SECONDS * 1000;
+  const countedNearby = () => prisma.syncedHeartbeat.findMany({
+    where: {
+      user_id: userId,
+      flagged: false,
+      time: {
+        gte: new Date(start.getTime() - timeout),
+        lte: new Date(end.getTime() + timeout)
+      },
+      NOT: afterCursor(base)
+    },
+    orderBy: { time: 'asc' }
+  });
+
+  const before = computeDurations(await countedNearby());
+  await change();
+  const after = computeDurations(await countedNearby());
+
+  const projectChanges = new Map(before.projects.map(project => [project.key, -project.total]));
+  for (const project of after.projects) {
+    projectChanges.set(project.key, (projectChanges.get(project.key) || 0) + project.total);
+  }
+  if (after.total !== before.total || Array.from(projectChanges.values()).some(seconds => seconds !== 0)) {
+    await saveSummary(userId, { ...base, ...subtractSummaries(mergeSummaries(base, after), before) }, 'local');
+  }
+  return projectChanges;
+}
+
+// Every RECONCILE_INTERVAL_MINUTES, adopt the API's totals so local drift doesn't pile up
+export async function reconcileSummary(userId, summary) {
+  if (RECONCILE_INTERVAL_MINUTES <= 0 || !summary) {
+    return summary;
+  }
+
+  const lastRemote = await prisma.userSummary.findFirst({
+    where: {
+      user_id: userId,
+      source: 'remote'
+    },
+    orderBy: {
+      created_at: 'desc'
+    }
+  });
+
+  if (lastRemote && lastRemote.created_at > new Date(Date.now() - RECONCILE_INTERVAL_MINUTES * 60 * 1000)) {
+    return summary;
+  }
+
+  const remote = await fetchRemoteSummary(userId);
+  if (!remote?.projects) {
+    return summary;
+  }
+
+  const projects = withRemoteTotals(summary.projects, remote.projects);
+  const reconciled = {
+    ...summary,
+    total: projects.reduce((total, project) => total + project.total, 0),
+    projects,
+    languages: withRemoteTotals(summary.languages, remote.languages)
+  };
+
+  const drift = reconciled.total - summary.total;
+  if (drift !== 0) {
+    console.log(`Reconciled summary for user ${userId}, local total was off by ${drift}s`);
+  }
+
+  await saveSummary(userId, reconciled, 'local');
+  return reconciled;
+}
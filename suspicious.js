@@ -0,0 +1,266 @@
+import { prisma } from './db.js';
+import { computeDurations, HEARTBEAT_TIMEOUT_SECONDS } from './durations.js';
+import { getRollupStart, rollupCodingTime } from './rollups.js';
+import { recountSummary } from './summaries.js';
+import { formatTime } from './stats.js';
+
+// Rules that catch time that probably wasn't really spent coding. Heartbeats a flag covers are
+// marked `flagged` and left out of summaries and rollups, so they don't count for notifications
+// or leaderboards, even when part of a long run was counted before the rule could see it.
+// Admins can dismiss a flag to count the time again, or confirm it.
+
+export const FLAG_STATUSES = ['flagged', 'confirmed', 'dismissed'];
+
+const REPEATED_ENTITY_SECONDS = (parseFloat(process.env.SUSPICIOUS_REPEATED_ENTITY_HOURS) || 3) * 60 * 60;
+const REGULAR_INTERVAL_COUNT = 30; // Heartbeats in a row
+const REGULAR_INTERVAL_TOLERANCE_MS = 10; // People aren't this regular, scripts are
+const MAX_FUTURE_SKEW_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_PAST_SKEW_MS = 7 * 24 * 60 * 60 * 1000; // Plugins queue heartbeats while offline, but not for a week
+const MIN_FLAG_SECONDS = 5 * 60; // Don't bother anyone about less than this
+
+function isIdle(hb) {
+  return !hb.is_write && !hb.line_additions && !hb.line_deletions;
+}
+
+function isSkewed(hb) {
+  const skew = hb.created_at.getTime() - hb.time.getTime();
+  return skew < -MAX_FUTURE_SKEW_MS || skew > MAX_PAST_SKEW_MS;
+}
+
+// Split heartbeats (sorted by time) into runs where each one continues the run before it
+function findRuns(heartbeats, continues) {
+  const runs = [];
+  let run = [];
+  for (const hb of heartbeats) {
+    if (run.length > 0 && !continues(run, hb)) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(hb);
+  }
+  if (run.length > 0) {
+    runs.push(run);
+  }
+  return runs;
+}
+
+const RULES = {
+  // Heartbeats dated far from when they reached the server, e.g. generated afterwards
+  time_skew(heartbeats) {
+    return findRuns(heartbeats, (run, hb) => isSkewed(run[0]) === isSkewed(hb))
+      .filter(run => isSkewed(run[0]))
+      .map(run => ({
+        run,
+        details: `${run.length} heartbeats dated far from when they were sent`
+      }));
+  },
+
+  // One file open for hours without a single edit
+  repeated_entity(heartbeats) {
+    return findRuns(heartbeats, (run, hb) => {
+      const last = run[run.length - 1];
+      return isIdle(run[0]) && isIdle(hb) &&
+        hb.entity === run[0].entity &&
+        hb.time - last.time <= HEARTBEAT_TIMEOUT_SECONDS * 1000;
+    })
+      .filter(run => isIdle(run[0]) && (run[run.length - 1].time - run[0].time) / 1000 >= REPEATED_ENTITY_SECONDS)
+      .map(run => ({
+        run,
+        details: `${run[0].entity} for ${formatTime((run[run.length - 1].time - run[0].time) / 1000)} with no edits`
+      }));
+  },
+
+  // Heartbeats exactly the same time apart, like a script sending them
+  regular_intervals(heartbeats) {
+    return findRuns(heartbeats, (run, hb) => {
+      const interval = hb.time - run[run.length - 1].time;
+      if (run.length === 1) {
+        return interval > 0;
+      }
+      return Math.abs(interval - (run[1].time - run[0].time)) <= REGULAR_INTERVAL_TOLERANCE_MS;
+    })
+      .filter(run => run.length >= REGULAR_INTERVAL_COUNT)
+      .map(run => ({
+        run,
+        details: `${run.length} heartbeats exactly ${Math.round((run[1].time - run[0].time) / 1000)}s apart`
+      }));
+  }
+};
+
+// Mark heartbeats flagged or not. Time the running total already counted comes out of it (or
+// goes back in), and notification baselines move with it, since posted notifications stay posted.
+async function setFlagged(userId, start, end, flagged) {
+  let count = 0;
+  const projectChanges = await recountSummary(userId, start, end, async () => {
+    ({ count } = await prisma.syncedHeartbeat.updateMany({
+      where: {
+        user_id: userId,
+        time: { gte: start, lte: end },
+        flagged: !flagged
+      },
+      data: { flagged }
+    }));
+  });
+
+  for (const [project, seconds] of projectChanges) {
+    if (seconds !== 0) {
+      await prisma.projectNotification.updateMany({
+        where: {
+          user_id: userId,
+          project_name: project
+        },
+        data: { last_total_seconds: { increment: seconds } }
+      });
+    }
+  }
+  return count;
+}
+
+// Save a flag for a run, growing the existing one if it's the same run seen again
+async function recordFlag(userId, rule, run, details) {
+  const start = run[0].time;
+  const end = run[run.length - 1].time;
+  const existing = await prisma.activityFlag.findFirst({
+    where: {
+      user_id: userId,
+      rule,
+      start: { lte: end },
+      end: { gte: start }
+    }
+  });
+
+  // An admin already said this time is fine
+  if (existing?.status === 'dismissed') {
+    return null;
+  }
+
+  let flag;
+  if (existing) {
+    if (start >= existing.start && end <= existing.end) {
+      return null;
+    }
+    flag = await prisma.activityFlag.update({
+      where: { id: existing.id },
+      data: {
+        start: start < existing.start ? start : existing.start,
+        end: end > existing.end ? end : existing.end,
+        seconds: existing.seconds + computeDurations(run.filter(hb => hb.time > existing.end || hb.time < existing.start)).total,
+        details
+      }
+    });
+  } else {
+    const seconds = computeDurations(run).total;
+    if (seconds < MIN_FLAG_SECONDS) {
+      return null;
+    }
+    flag = await prisma.activityFlag.create({
+      data: { user_id: userId, rule, start, end, seconds, details }
+    });
+    console.log(`Flagged ${formatTime(seconds)} for user ${userId} (${rule}): ${details}`);
+  }
+
+  await setFlagged(userId, flag.start, flag.end, true);
+  return flag;
+}
+
+// Run every rule over these users' heartbeats around the new ones. Runs before summaries and
+// rollups are updated so flagged time among the new heartbeats never counts.
+export async function detectSuspiciousActivity(heartbeats) {
+  const ranges = new Map();
+  for (const hb of heartbeats) {
+    const time = new Date(hb.time);
+    const range = ranges.get(hb.user_id) || { start: time, end: time };
+    ranges.set(hb.user_id, {
+      start: time < range.start ? time : range.start,
+      end: time > range.end ? time : range.end
+    });
+  }
+
+  let flagged = 0;
+  for (const [userId, { start, end }] of ranges) {
+    try {
+      // Look far enough back to see the whole of a long run
+      const beats = await prisma.syncedHeartbeat.findMany({
+        where: {
+          user_id: userId,
+          time: {
+            gte: new Date(start.getTime() - REPEATED_ENTITY_SECONDS * 1000),
+            lte: end
+          }
+        },
+        select: {
+          time: true,
+          created_at: true,
+          entity: true,
+          is_write: true,
+          line_additions: true,
+          line_deletions: true,
+          project: true,
+          language: true
+        },
+        orderBy: { time: 'asc' }
+      });
+
+      for (const [rule, find] of Object.entries(RULES)) {
+        for (const { run, details } of find(beats)) {
+          if (await recordFlag(userId, rule, run, details)) {
+            flagged++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to check heartbeats for suspicious activity for user ${userId}:`, error);
+    }
+  }
+  return flagged;
+}
+
+export async function getFlags({ status = 'flagged', limit = 10 } = {}) {
+  return prisma.activityFlag.findMany({
+    where: status ? { status } : {},
+    orderBy: { created_at: 'desc' },
+    take: limit
+  });
+}
+
+// An admin's verdict on a flag. Dismissing it counts the time again, as long as the heartbeats
+// are still around (see RETENTION_HOURS); after that the daily totals are final.
+export async function reviewFlag(flagId, status, reviewerId) {
+  const flag = await prisma.activityFlag.findUnique({
+    where: { id: flagId }
+  });
+  if (!flag) {
+    return null;
+  }
+
+  const updated = await prisma.activityFlag.update({
+    where: { id: flagId },
+    data: {
+      status,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date()
+    }
+  });
+
+  if (status === 'dismissed') {
+    await setFlagged(flag.user_id, flag.start, flag.end, false);
+    // Heartbeats in the range may be covered by other flags too
+    const overlapping = await prisma.activityFlag.findMany({
+      where: {
+        user_id: flag.user_id,
+        status: { not: 'dismissed' },
+        start: { lte: flag.end },
+        end: { gte: flag.start }
+      }
+    });
+    for (const other of overlapping) {
+      await setFlagged(other.user_id, other.start, other.end, true);
+    }
+  } else {
+    await setFlagged(flag.user_id, flag.start, flag.end, true);
+  }
+
+  await rollupCodingTime([flag.user_id]);
+  console.log(`Flag ${flagId} for user ${flag.user_id} marked ${status} by ${reviewerId}`);
+  return { flag: updated, final: flag.end < getRollupStart() };
+}